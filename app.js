@@ -22,7 +22,18 @@ async function startApp() {
   const authRoutes = await import("./src/routes/authRoutes.js");
   const donationRoutes = await import("./src/routes/donationRoutes.js");
   const walletRoutes = await import("./src/routes/walletRoutes.js");
+  const adminRoutes = await import("./src/routes/adminRoutes.js");
+  const webhookRoutes = await import("./src/routes/webhookRoutes.js");
+  const campaignRoutes = await import("./src/routes/campaignRoutes.js");
   const { default: prisma } = await import("./src/config/db.js");
+  const { startRecurringDonationScheduler, stopRecurringDonationScheduler } =
+    await import("./src/services/recurringDonationService.js");
+  const { startWebhookDispatcher, stopWebhookDispatcher } = await import(
+    "./src/services/webhookService.js"
+  );
+  const { startJobWorker, stopJobWorker } = await import(
+    "./src/services/jobService.js"
+  );
 
   const app = express.default();
 
@@ -43,8 +54,15 @@ async function startApp() {
     })
   );
 
-  // Body size limits
-  app.use(bodyParser.default.json({ limit: "200kb" }));
+  // Body size limits (raw body kept for webhook signature checks)
+  app.use(
+    bodyParser.default.json({
+      limit: "200kb",
+      verify: (req, res, buf) => {
+        req.rawBody = buf.toString("utf8");
+      },
+    })
+  );
 
   // Basic rate limiting (disabled in test to not affect load tests)
   if (process.env.NODE_ENV !== "test") {
@@ -90,15 +108,36 @@ async function startApp() {
   app.use("/api/auth", authRoutes.default);
   app.use("/api/donations", donationRoutes.default);
   app.use("/api/wallet", walletRoutes.default);
+  app.use("/api/admin", adminRoutes.default);
+  app.use("/api/webhooks", webhookRoutes.default);
+  app.use("/api/campaigns", campaignRoutes.default);
 
   const PORT = process.env.PORT || 3000;
   const server = app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
   });
 
+  // background scheduler for recurring donations
+  if (process.env.RECURRING_DONATIONS_ENABLED !== "false") {
+    startRecurringDonationScheduler();
+  }
+
+  // background worker for queued jobs (emails and other side effects)
+  if (process.env.JOBS_ENABLED !== "false") {
+    startJobWorker();
+  }
+
+  // background dispatcher for outbound webhooks
+  if (process.env.WEBHOOKS_ENABLED !== "false") {
+    startWebhookDispatcher();
+  }
+
   // Graceful shutdown
   const shutdown = async () => {
     console.log("Shutting down server...");
+    stopRecurringDonationScheduler();
+    stopWebhookDispatcher();
+    stopJobWorker();
     server.close(async () => {
       await prisma.$disconnect();
       console.log("Server closed.");
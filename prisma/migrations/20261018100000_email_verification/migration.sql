@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "emailVerifiedAt" TIMESTAMP(3),
+ADD COLUMN     "verificationSentAt" TIMESTAMP(3);
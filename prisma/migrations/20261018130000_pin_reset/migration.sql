@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "TransactionPin" ADD COLUMN     "resetAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "PinResetCode" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PinResetCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PinResetCode_userId_idx" ON "PinResetCode"("userId");
+
+-- AddForeignKey
+ALTER TABLE "PinResetCode" ADD CONSTRAINT "PinResetCode_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
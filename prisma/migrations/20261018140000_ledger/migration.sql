@@ -0,0 +1,94 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "role" TEXT NOT NULL DEFAULT 'USER';
+
+-- CreateTable
+CREATE TABLE "LedgerAccount" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT,
+    "type" TEXT NOT NULL,
+    "walletId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LedgerAccount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LedgerEntry" (
+    "id" SERIAL NOT NULL,
+    "type" TEXT NOT NULL,
+    "reference" TEXT NOT NULL,
+    "description" TEXT,
+    "transactionId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LedgerEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "JournalLine" (
+    "id" SERIAL NOT NULL,
+    "entryId" INTEGER NOT NULL,
+    "accountId" INTEGER NOT NULL,
+    "direction" TEXT NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "JournalLine_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LedgerAccount_code_key" ON "LedgerAccount"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LedgerAccount_walletId_key" ON "LedgerAccount"("walletId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LedgerEntry_reference_key" ON "LedgerEntry"("reference");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_transactionId_idx" ON "LedgerEntry"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "JournalLine_entryId_idx" ON "JournalLine"("entryId");
+
+-- CreateIndex
+CREATE INDEX "JournalLine_accountId_createdAt_idx" ON "JournalLine"("accountId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "LedgerAccount" ADD CONSTRAINT "LedgerAccount_walletId_fkey" FOREIGN KEY ("walletId") REFERENCES "Wallet"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerEntry" ADD CONSTRAINT "LedgerEntry_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "Transaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "JournalLine" ADD CONSTRAINT "JournalLine_entryId_fkey" FOREIGN KEY ("entryId") REFERENCES "LedgerEntry"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "JournalLine" ADD CONSTRAINT "JournalLine_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "LedgerAccount"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill: system accounts, one ledger account per wallet, and an opening
+-- balance entry so every existing Wallet.balance is explained by the ledger
+INSERT INTO "LedgerAccount" ("code", "type") VALUES
+    ('SYSTEM:OPENING_BALANCE', 'SYSTEM'),
+    ('SYSTEM:TOPUP_FUNDING', 'SYSTEM'),
+    ('SYSTEM:FEES', 'SYSTEM');
+
+INSERT INTO "LedgerAccount" ("type", "walletId")
+SELECT 'WALLET', "id" FROM "Wallet";
+
+INSERT INTO "LedgerEntry" ("type", "reference", "description")
+SELECT 'OPENING_BALANCE', 'OPENING_BALANCE:' || "id", 'Opening balance migrated from Wallet.balance'
+FROM "Wallet" WHERE "balance" > 0;
+
+INSERT INTO "JournalLine" ("entryId", "accountId", "direction", "amount")
+SELECT e."id", a."id", 'CREDIT', w."balance"
+FROM "Wallet" w
+JOIN "LedgerAccount" a ON a."walletId" = w."id"
+JOIN "LedgerEntry" e ON e."reference" = 'OPENING_BALANCE:' || w."id"
+WHERE w."balance" > 0;
+
+INSERT INTO "JournalLine" ("entryId", "accountId", "direction", "amount")
+SELECT e."id", (SELECT "id" FROM "LedgerAccount" WHERE "code" = 'SYSTEM:OPENING_BALANCE'), 'DEBIT', w."balance"
+FROM "Wallet" w
+JOIN "LedgerEntry" e ON e."reference" = 'OPENING_BALANCE:' || w."id"
+WHERE w."balance" > 0;
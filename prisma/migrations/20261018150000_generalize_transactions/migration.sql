@@ -0,0 +1,43 @@
+-- DropForeignKey
+ALTER TABLE "Transaction" DROP CONSTRAINT "Transaction_donationId_fkey";
+
+-- DropIndex
+DROP INDEX "Transaction_donationId_key";
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN     "reference" TEXT,
+ADD COLUMN     "userId" INTEGER,
+ALTER COLUMN "donationId" DROP NOT NULL,
+ALTER COLUMN "idempotencyKey" DROP NOT NULL;
+
+-- Backfill: existing rows are the sender side of a donation
+UPDATE "Transaction" t
+SET "type" = 'DONATION_DEBIT',
+    "userId" = d."senderId",
+    "reference" = 'LEGACY-' || t."id"
+FROM "Donation" d
+WHERE d."id" = t."donationId";
+
+-- Backfill: receiver side of every existing donation
+INSERT INTO "Transaction" ("userId", "donationId", "amount", "type", "status", "reference", "createdAt")
+SELECT d."receiverId", d."id", d."amount", 'DONATION_CREDIT', 'COMPLETED', 'LEGACY-CR-' || d."id", d."createdAt"
+FROM "Donation" d;
+
+-- AlterTable
+ALTER TABLE "Transaction" ALTER COLUMN "reference" SET NOT NULL,
+ALTER COLUMN "userId" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Transaction_reference_key" ON "Transaction"("reference");
+
+-- CreateIndex
+CREATE INDEX "Transaction_userId_type_createdAt_idx" ON "Transaction"("userId", "type", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Transaction_donationId_idx" ON "Transaction"("donationId");
+
+-- AddForeignKey
+ALTER TABLE "Transaction" ADD CONSTRAINT "Transaction_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Transaction" ADD CONSTRAINT "Transaction_donationId_fkey" FOREIGN KEY ("donationId") REFERENCES "Donation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "Donation" ADD COLUMN     "reversedAmount" DECIMAL(65,30) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN     "description" TEXT,
+ADD COLUMN     "reversalOfId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Transaction_reversalOfId_idx" ON "Transaction"("reversalOfId");
+
+-- AddForeignKey
+ALTER TABLE "Transaction" ADD CONSTRAINT "Transaction_reversalOfId_fkey" FOREIGN KEY ("reversalOfId") REFERENCES "Transaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,42 @@
+-- DropIndex
+DROP INDEX "Wallet_userId_key";
+
+-- AlterTable
+ALTER TABLE "Wallet" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'NGN';
+
+-- AlterTable
+ALTER TABLE "Donation" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'NGN',
+ADD COLUMN     "exchangeRate" DECIMAL(65,30),
+ADD COLUMN     "receivedAmount" DECIMAL(65,30),
+ADD COLUMN     "receivedCurrency" TEXT NOT NULL DEFAULT 'NGN';
+
+-- Existing donations were same-currency
+UPDATE "Donation" SET "receivedAmount" = "amount";
+ALTER TABLE "Donation" ALTER COLUMN "receivedAmount" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Transaction" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'NGN',
+ADD COLUMN     "exchangeRate" DECIMAL(65,30);
+
+-- AlterTable
+ALTER TABLE "JournalLine" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'NGN';
+
+-- AlterTable
+ALTER TABLE "Withdrawal" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'NGN';
+
+-- CreateTable
+CREATE TABLE "ExchangeRate" (
+    "id" SERIAL NOT NULL,
+    "base" TEXT NOT NULL,
+    "quote" TEXT NOT NULL,
+    "rate" DECIMAL(65,30) NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ExchangeRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Wallet_userId_currency_key" ON "Wallet"("userId", "currency");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExchangeRate_base_quote_key" ON "ExchangeRate"("base", "quote");
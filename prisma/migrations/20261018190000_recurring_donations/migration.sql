@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "RecurringDonation" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "receiverId" INTEGER NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'NGN',
+    "schedule" TEXT NOT NULL,
+    "cron" TEXT,
+    "startAt" TIMESTAMP(3) NOT NULL,
+    "nextRunAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3),
+    "maxRuns" INTEGER,
+    "runCount" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'ACTIVE',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RecurringDonation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RecurringDonationRun" (
+    "id" SERIAL NOT NULL,
+    "recurringDonationId" INTEGER NOT NULL,
+    "scheduledFor" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL,
+    "transactionId" INTEGER,
+    "failureReason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RecurringDonationRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RecurringDonation_status_nextRunAt_idx" ON "RecurringDonation"("status", "nextRunAt");
+
+-- CreateIndex
+CREATE INDEX "RecurringDonation_userId_idx" ON "RecurringDonation"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RecurringDonationRun_recurringDonationId_scheduledFor_key" ON "RecurringDonationRun"("recurringDonationId", "scheduledFor");
+
+-- AddForeignKey
+ALTER TABLE "RecurringDonation" ADD CONSTRAINT "RecurringDonation_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecurringDonation" ADD CONSTRAINT "RecurringDonation_receiverId_fkey" FOREIGN KEY ("receiverId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RecurringDonationRun" ADD CONSTRAINT "RecurringDonationRun_recurringDonationId_fkey" FOREIGN KEY ("recurringDonationId") REFERENCES "RecurringDonation"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
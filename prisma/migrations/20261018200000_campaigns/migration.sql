@@ -0,0 +1,41 @@
+-- AlterTable
+ALTER TABLE "Donation" ADD COLUMN     "campaignId" INTEGER,
+ADD COLUMN     "receivedReversedAmount" DECIMAL(65,30) NOT NULL DEFAULT 0;
+
+-- Existing reversals were same-currency
+UPDATE "Donation" SET "receivedReversedAmount" = "reversedAmount";
+
+-- CreateTable
+CREATE TABLE "Campaign" (
+    "id" SERIAL NOT NULL,
+    "ownerId" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "targetAmount" DECIMAL(65,30) NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'NGN',
+    "raisedAmount" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "deadline" TIMESTAMP(3),
+    "closeOnGoal" BOOLEAN NOT NULL DEFAULT false,
+    "status" TEXT NOT NULL DEFAULT 'OPEN',
+    "closedReason" TEXT,
+    "closedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Campaign_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Donation_campaignId_idx" ON "Donation"("campaignId");
+
+-- CreateIndex
+CREATE INDEX "Campaign_status_deadline_idx" ON "Campaign"("status", "deadline");
+
+-- CreateIndex
+CREATE INDEX "Campaign_ownerId_idx" ON "Campaign"("ownerId");
+
+-- AddForeignKey
+ALTER TABLE "Donation" ADD CONSTRAINT "Donation_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "Campaign"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Campaign" ADD CONSTRAINT "Campaign_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
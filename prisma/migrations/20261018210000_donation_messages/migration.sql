@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Donation" ADD COLUMN     "anonymous" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "message" TEXT;
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "DonationLimit" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "perTransaction" DECIMAL(65,30),
+    "daily" DECIMAL(65,30),
+    "monthly" DECIMAL(65,30),
+    "hourlyCount" INTEGER,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DonationLimit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DonationUsage" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "period" TEXT NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL DEFAULT 0,
+    "count" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "DonationUsage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DonationLimit_userId_currency_key" ON "DonationLimit"("userId", "currency");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DonationUsage_userId_currency_period_periodStart_key" ON "DonationUsage"("userId", "currency", "period", "periodStart");
+
+-- AddForeignKey
+ALTER TABLE "DonationLimit" ADD CONSTRAINT "DonationLimit_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DonationUsage" ADD CONSTRAINT "DonationUsage_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,57 @@
+-- CreateTable
+CREATE TABLE "PinFailure" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PinFailure_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RiskDecision" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "receiverId" INTEGER NOT NULL,
+    "amount" DECIMAL(65,30) NOT NULL,
+    "currency" TEXT NOT NULL,
+    "score" INTEGER NOT NULL,
+    "outcome" TEXT NOT NULL,
+    "reasons" JSONB NOT NULL,
+    "status" TEXT NOT NULL,
+    "pendingDonation" JSONB,
+    "donationId" INTEGER,
+    "transactionId" INTEGER,
+    "reviewedById" INTEGER,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewNote" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RiskDecision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PinFailure_userId_createdAt_idx" ON "PinFailure"("userId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RiskDecision_donationId_key" ON "RiskDecision"("donationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RiskDecision_transactionId_key" ON "RiskDecision"("transactionId");
+
+-- CreateIndex
+CREATE INDEX "RiskDecision_status_createdAt_idx" ON "RiskDecision"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "RiskDecision_userId_createdAt_idx" ON "RiskDecision"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "PinFailure" ADD CONSTRAINT "PinFailure_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RiskDecision" ADD CONSTRAINT "RiskDecision_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RiskDecision" ADD CONSTRAINT "RiskDecision_donationId_fkey" FOREIGN KEY ("donationId") REFERENCES "Donation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RiskDecision" ADD CONSTRAINT "RiskDecision_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "Transaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "donationReceivedEmails" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "milestoneEmails" BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE "NotificationSent" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "rule" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NotificationSent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NotificationSent_userId_rule_key" ON "NotificationSent"("userId", "rule");
+
+-- AddForeignKey
+ALTER TABLE "NotificationSent" ADD CONSTRAINT "NotificationSent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "DonationExport" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "format" TEXT NOT NULL,
+    "options" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "tokenHash" TEXT,
+    "rowCount" INTEGER,
+    "expiresAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DonationExport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DonationExport_tokenHash_key" ON "DonationExport"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "DonationExport_userId_idx" ON "DonationExport"("userId");
+
+-- CreateIndex
+CREATE INDEX "DonationExport_status_expiresAt_idx" ON "DonationExport"("status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "DonationExport" ADD CONSTRAINT "DonationExport_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "Donation_senderId_createdAt_id_idx" ON "Donation"("senderId", "createdAt", "id");
+
+-- CreateIndex
+CREATE INDEX "Donation_receiverId_createdAt_id_idx" ON "Donation"("receiverId", "createdAt", "id");
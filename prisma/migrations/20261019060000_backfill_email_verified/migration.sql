@@ -0,0 +1,4 @@
+-- Accounts created before email verification existed count as verified (no
+-- verification email was ever sent to them); later sign-ups still verify.
+UPDATE "User" SET "emailVerifiedAt" = "createdAt"
+WHERE "emailVerifiedAt" IS NULL AND "verificationSentAt" IS NULL;
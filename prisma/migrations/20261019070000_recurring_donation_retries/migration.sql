@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "RecurringDonation" ADD COLUMN     "retryAt" TIMESTAMP(3),
+ADD COLUMN     "retryCount" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,35 @@
+// Render an email template with sample data, without a database or a mail
+// provider:
+//   npm run emails:preview                          (list templates)
+//   npm run emails:preview -- welcome fr            (subject + plaintext)
+//   npm run emails:preview -- welcome fr --html > welcome.html
+import {
+  hasTemplate,
+  listEmailTemplates,
+  renderEmailPreview,
+} from "../src/utils/emailTemplates/index.js";
+
+const args = process.argv.slice(2);
+const [template, locale] = args.filter((arg) => !arg.startsWith("--"));
+const { templates, locales } = listEmailTemplates();
+
+if (!template) {
+  console.log(`Templates: ${templates.join(", ")}`);
+  console.log(`Locales: ${locales.join(", ")}`);
+  process.exit(0);
+}
+
+if (!hasTemplate(template)) {
+  console.error(`Unknown email template: ${template}`);
+  process.exit(1);
+}
+
+const email = renderEmailPreview(template, locale);
+
+if (args.includes("--html")) {
+  console.log(email.html);
+} else {
+  console.log(`Subject: ${email.subject}`);
+  console.log(`Locale: ${email.locale}\n`);
+  console.log(email.text);
+}
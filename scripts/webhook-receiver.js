@@ -0,0 +1,42 @@
+// Local receiver for testing outbound webhooks: prints each event and whether
+// its signature is valid.
+//   WEBHOOK_SECRET=whsec_... PORT=4000 npm run webhooks:receive
+// then subscribe http://localhost:4000/ to some events (the API must run with
+// WEBHOOK_ALLOW_PRIVATE_URLS=true to accept a localhost URL).
+// Set FAIL_RATE (0-1) to answer some requests with 500 and watch the retries.
+import http from "http";
+import { verifyWebhookSignature } from "../src/utils/webhookSignature.js";
+
+const PORT = Number(process.env.PORT || 4000);
+const SECRET = process.env.WEBHOOK_SECRET || "";
+const FAIL_RATE = Number(process.env.FAIL_RATE || 0);
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    const signature = req.headers["x-fastamoni-signature"];
+    const valid = SECRET
+      ? verifyWebhookSignature(SECRET, signature, body)
+      : "unchecked (no WEBHOOK_SECRET)";
+
+    console.log(
+      `[webhook] ${req.headers["x-fastamoni-event"]} delivery #${req.headers["x-fastamoni-delivery"]} signature ${valid}`
+    );
+    console.log(body);
+
+    if (valid === false) {
+      res.writeHead(401).end();
+    } else if (Math.random() < FAIL_RATE) {
+      res.writeHead(500).end();
+    } else {
+      res.writeHead(200).end();
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}/`);
+});
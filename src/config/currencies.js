@@ -0,0 +1,80 @@
+import { Decimal } from "@prisma/client/runtime/library.js";
+
+// supported wallet currencies, how many decimal places (minor units) each
+// allows, and the global donation limits (per-user overrides are in the DB)
+const CURRENCIES = {
+  NGN: {
+    minorUnits: 2,
+    limits: {
+      perTransaction: "1000000",
+      daily: "2000000",
+      monthly: "10000000",
+      hourlyCount: 30,
+    },
+  },
+  USD: {
+    minorUnits: 2,
+    limits: {
+      perTransaction: "1000",
+      daily: "2000",
+      monthly: "10000",
+      hourlyCount: 30,
+    },
+  },
+  GBP: {
+    minorUnits: 2,
+    limits: {
+      perTransaction: "800",
+      daily: "1600",
+      monthly: "8000",
+      hourlyCount: 30,
+    },
+  },
+};
+
+// currency used when a request does not name one (and for registration wallets)
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || "NGN";
+
+const normalizeCurrency = (code) => {
+  const currency = String(code || DEFAULT_CURRENCY).toUpperCase();
+
+  if (!CURRENCIES[currency]) {
+    throw new Error("Unsupported currency");
+  }
+
+  return currency;
+};
+
+// parse a client amount; more decimal places than the currency allows is an error
+const parseAmount = (amount, currency) => {
+  let decimal;
+  try {
+    decimal = new Decimal(amount);
+  } catch {
+    return new Decimal(NaN);
+  }
+
+  if (
+    decimal.isFinite() &&
+    decimal.decimalPlaces() > CURRENCIES[currency].minorUnits
+  ) {
+    throw new Error("Amount has more decimal places than the currency allows");
+  }
+
+  return decimal;
+};
+
+// round a computed amount (fees, conversions) to the currency's minor unit
+const roundAmount = (amount, currency) =>
+  new Decimal(amount).toDecimalPlaces(
+    CURRENCIES[currency].minorUnits,
+    Decimal.ROUND_HALF_UP
+  );
+
+export {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  parseAmount,
+  roundAmount,
+};
@@ -0,0 +1,74 @@
+import fs from "fs";
+import { hasTemplate } from "../utils/emailTemplates/index.js";
+
+// Donor milestone emails. Each rule is emailed at most once per user (tracked
+// by `id`, so keep ids stable when changing a rule):
+//   DONATION_COUNT: the donor's `threshold`-th completed donation
+//   DONATED_AMOUNT: `threshold` donated in total in `currency` (net of reversals)
+const DEFAULT_NOTIFICATION_RULES = [
+  {
+    id: "DONATIONS_2",
+    type: "DONATION_COUNT",
+    threshold: 2,
+    template: "thank_you",
+  },
+  {
+    id: "DONATIONS_10",
+    type: "DONATION_COUNT",
+    threshold: 10,
+    template: "donation_milestone",
+  },
+  {
+    id: "DONATIONS_100",
+    type: "DONATION_COUNT",
+    threshold: 100,
+    template: "donation_milestone",
+  },
+  {
+    id: "DONATED_100000_NGN",
+    type: "DONATED_AMOUNT",
+    currency: "NGN",
+    threshold: "100000",
+    template: "amount_milestone",
+  },
+  {
+    id: "DONATED_1000_USD",
+    type: "DONATED_AMOUNT",
+    currency: "USD",
+    threshold: "1000",
+    template: "amount_milestone",
+  },
+  {
+    id: "DONATED_1000_GBP",
+    type: "DONATED_AMOUNT",
+    currency: "GBP",
+    threshold: "1000",
+    template: "amount_milestone",
+  },
+];
+
+const RULE_TYPES = ["DONATION_COUNT", "DONATED_AMOUNT"];
+
+// NOTIFICATION_RULES_FILE points at a JSON array of rules that replaces the
+// defaults
+const loadNotificationRules = () => {
+  const file = process.env.NOTIFICATION_RULES_FILE;
+  if (!file) return DEFAULT_NOTIFICATION_RULES;
+
+  const rules = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  for (const rule of rules) {
+    if (!rule.id || !RULE_TYPES.includes(rule.type)) {
+      throw new Error(`Invalid notification rule: ${rule.id}`);
+    }
+    if (!hasTemplate(rule.template)) {
+      throw new Error(`Unknown email template: ${rule.template}`);
+    }
+  }
+
+  return rules;
+};
+
+const NOTIFICATION_RULES = loadNotificationRules();
+
+export { NOTIFICATION_RULES };
@@ -0,0 +1,65 @@
+import fs from "fs";
+
+// Donation risk rules. Each triggered rule adds its score; the total decides
+// the outcome (score >= holdScore: hold for review, >= blockScore: block).
+// A rule with `action: "HOLD" | "BLOCK"` forces that outcome when it triggers.
+const DEFAULT_RISK_RULES = {
+  holdScore: 50,
+  blockScore: 80,
+  rules: {
+    // first donation from an account younger than maxAccountAgeHours
+    NEW_ACCOUNT: { enabled: true, score: 30, maxAccountAgeHours: 24 },
+    // amount over `multiplier` x the sender's average of their last `history`
+    // donations in the currency (needs at least minHistory of them)
+    AMOUNT_SPIKE: {
+      enabled: true,
+      score: 40,
+      multiplier: 5,
+      history: 10,
+      minHistory: 3,
+    },
+    // receiver got donations from `distinctSenders` or more people within
+    // the last windowMinutes
+    RECEIVER_FUNNEL: {
+      enabled: true,
+      score: 40,
+      distinctSenders: 20,
+      windowMinutes: 60,
+    },
+    // `failures` or more wrong PINs within the last windowMinutes
+    PIN_FAILURES: { enabled: true, score: 30, failures: 3, windowMinutes: 60 },
+  },
+};
+
+// RISK_RULES_FILE points at a JSON file of the same shape; its values replace
+// the defaults (rule by rule, so a file can change one threshold)
+const loadRiskRules = () => {
+  const file = process.env.RISK_RULES_FILE;
+  if (!file) return DEFAULT_RISK_RULES;
+
+  const custom = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  for (const name of Object.keys(custom.rules || {})) {
+    if (!DEFAULT_RISK_RULES.rules[name]) {
+      throw new Error(`Unknown risk rule: ${name}`);
+    }
+  }
+
+  return {
+    holdScore: custom.holdScore ?? DEFAULT_RISK_RULES.holdScore,
+    blockScore: custom.blockScore ?? DEFAULT_RISK_RULES.blockScore,
+    rules: Object.fromEntries(
+      Object.entries(DEFAULT_RISK_RULES.rules).map(([name, rule]) => [
+        name,
+        { ...rule, ...custom.rules?.[name] },
+      ])
+    ),
+  };
+};
+
+const RISK_RULES = loadRiskRules();
+
+// set RISK_RULES_ENABLED=false to allow every donation (the load test does)
+const RISK_RULES_ENABLED = process.env.RISK_RULES_ENABLED !== "false";
+
+export { RISK_RULES, RISK_RULES_ENABLED };
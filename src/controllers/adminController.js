@@ -0,0 +1,395 @@
+import {
+  auditWallet,
+  rebuildWalletBalance,
+} from "../services/ledgerService.js";
+import {
+  listExchangeRates,
+  setExchangeRate,
+} from "../services/exchangeRateService.js";
+import {
+  getDonationLimits,
+  setUserDonationLimits,
+} from "../services/limitService.js";
+import { listRiskDecisions } from "../services/risk/index.js";
+import { reviewHeldDonation } from "../services/donationService.js";
+import { listJobs, getJob, retryJob } from "../services/jobService.js";
+import {
+  hasTemplate,
+  listEmailTemplates,
+  renderEmailPreview,
+} from "../utils/emailTemplates/index.js";
+import { getPaginationParams } from "../utils/pagination.js";
+
+// compare a wallet's cached balance with its ledger balance
+const getWalletAudit = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ message: "Invalid user id." });
+    }
+
+    const audit = await auditWallet(userId, req.query.currency);
+
+    res.status(200).json({
+      message: "Wallet audit retrieved successfully",
+      data: audit,
+    });
+  } catch (error) {
+    console.error("Wallet Audit Error:", error.message);
+    if (error.message === "Unsupported currency") {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.message === "Wallet not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to audit wallet" });
+  }
+};
+
+// rebuild a wallet's cached balance from the ledger
+const rebuildWallet = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ message: "Invalid user id." });
+    }
+
+    const result = await rebuildWalletBalance(userId, req.query.currency);
+
+    console.info(
+      `Wallet Rebuild: admin ${req.user.id} rebuilt ${result.wallet.currency} wallet of user ${userId}: ${result.previousBalance} -> ${result.wallet.balance}`
+    );
+
+    res.status(200).json({
+      message: "Wallet balance rebuilt from ledger",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Wallet Rebuild Error:", error.message);
+    if (error.message === "Unsupported currency") {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.message === "Wallet not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to rebuild wallet" });
+  }
+};
+
+const getExchangeRates = async (req, res) => {
+  try {
+    const rates = await listExchangeRates();
+
+    res.status(200).json({
+      message: "Exchange rates retrieved successfully",
+      data: rates,
+    });
+  } catch (error) {
+    console.error("Get Exchange Rates Error:", error.message);
+    res
+      .status(500)
+      .json({ message: "Internal: Unable to retrieve exchange rates" });
+  }
+};
+
+// create or update the rate for a currency pair
+const putExchangeRate = async (req, res) => {
+  try {
+    const { base, quote, rate } = req.body;
+
+    if (!base || !quote || rate === undefined) {
+      return res.status(400).json({ message: "All fields are required." });
+    }
+
+    const exchangeRate = await setExchangeRate(base, quote, rate);
+
+    console.info(
+      `Exchange Rate: admin ${req.user.id} set ${exchangeRate.base}/${exchangeRate.quote} = ${exchangeRate.rate}`
+    );
+
+    res.status(200).json({
+      message: "Exchange rate saved",
+      data: exchangeRate,
+    });
+  } catch (error) {
+    console.error("Set Exchange Rate Error:", error.message);
+    if (
+      [
+        "Unsupported currency",
+        "Base and quote currency must differ",
+        "Exchange rate must be greater than zero",
+      ].includes(error.message)
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to save exchange rate" });
+  }
+};
+
+// a user's effective donation limits and current usage
+const getUserLimits = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ message: "Invalid user id." });
+    }
+
+    const limits = await getDonationLimits(userId, req.query.currency);
+
+    res.status(200).json({
+      message: "Donation limits retrieved successfully",
+      data: limits,
+    });
+  } catch (error) {
+    console.error("Get User Limits Error:", error.message);
+    if (error.message === "Unsupported currency") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to retrieve limits" });
+  }
+};
+
+// override a user's donation limits for one currency (null resets a field)
+const putUserLimits = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({ message: "Invalid user id." });
+    }
+
+    const { currency, perTransaction, daily, monthly, hourlyCount } = req.body;
+
+    const limits = await setUserDonationLimits(userId, currency, {
+      perTransaction,
+      daily,
+      monthly,
+      hourlyCount,
+    });
+
+    console.info(
+      `Donation Limits: admin ${req.user.id} updated ${limits.currency} limits for user ${userId}`
+    );
+
+    res.status(200).json({
+      message: "Donation limits saved",
+      data: limits,
+    });
+  } catch (error) {
+    console.error("Set User Limits Error:", error.message);
+    if (
+      [
+        "Unsupported currency",
+        "Limits must be greater than zero",
+        "Amount has more decimal places than the currency allows",
+      ].includes(error.message)
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.message === "User not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to save limits" });
+  }
+};
+
+// risk decisions, newest first (?status=HELD for the review queue)
+const getRiskDecisions = async (req, res) => {
+  try {
+    const result = await listRiskDecisions(
+      { status: req.query.status },
+      getPaginationParams(req.query)
+    );
+
+    res.status(200).json({
+      message: "Risk decisions retrieved successfully",
+      data: result.data,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Get Risk Decisions Error:", error.message);
+    if (["Invalid status", "Invalid cursor"].includes(error.message)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Internal: Unable to retrieve risk decisions" });
+  }
+};
+
+// approve or reject a donation held for review
+const reviewRiskDecision = (approve) => async (req, res) => {
+  try {
+    const decisionId = parseInt(req.params.decisionId);
+
+    if (isNaN(decisionId)) {
+      return res.status(400).json({ message: "Invalid decision id." });
+    }
+
+    const decision = await reviewHeldDonation(
+      decisionId,
+      req.user.id,
+      approve,
+      req.body?.note
+    );
+
+    res.status(200).json({
+      message: approve ? "Donation approved" : "Donation rejected",
+      data: decision,
+    });
+  } catch (error) {
+    console.error("Review Risk Decision Error:", error.message);
+    if (error.message === "Risk decision not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    if (
+      [
+        "Donation is not held for review",
+        "Campaign is closed",
+        "Receiver wallet not found",
+      ].includes(error.message)
+    ) {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to review donation" });
+  }
+};
+
+const approveHeldDonation = reviewRiskDecision(true);
+const rejectHeldDonation = reviewRiskDecision(false);
+
+// background jobs (?status=DEAD for the dead-letter queue)
+const getJobs = async (req, res) => {
+  try {
+    const { status, type } = req.query;
+
+    const result = await listJobs(
+      { status, type },
+      getPaginationParams(req.query)
+    );
+
+    res.status(200).json({
+      message: "Jobs retrieved successfully",
+      data: result.data,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Get Jobs Error:", error.message);
+    if (["Invalid status", "Invalid cursor"].includes(error.message)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to retrieve jobs" });
+  }
+};
+
+const viewJob = async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId);
+
+    if (isNaN(jobId)) {
+      return res.status(400).json({ message: "Invalid job id." });
+    }
+
+    const job = await getJob(jobId);
+
+    res.status(200).json({
+      message: "Job retrieved successfully",
+      data: job,
+    });
+  } catch (error) {
+    console.error("Get Job Error:", error.message);
+    if (error.message === "Job not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to retrieve job" });
+  }
+};
+
+// run a dead job again
+const retryDeadJob = async (req, res) => {
+  try {
+    const jobId = parseInt(req.params.jobId);
+
+    if (isNaN(jobId)) {
+      return res.status(400).json({ message: "Invalid job id." });
+    }
+
+    const job = await retryJob(jobId);
+
+    console.info(`Job Retry: admin ${req.user.id} retried job #${job.id}`);
+
+    res.status(200).json({
+      message: "Job queued for retry",
+      data: job,
+    });
+  } catch (error) {
+    console.error("Retry Job Error:", error.message);
+    if (error.message === "Job not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === "Only dead jobs can be retried") {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to retry job" });
+  }
+};
+
+// template names and supported locales
+const getEmailTemplates = (req, res) => {
+  res.status(200).json({
+    message: "Email templates retrieved successfully",
+    data: listEmailTemplates(),
+  });
+};
+
+// render a template with sample data
+// (?locale=fr&format=html|text opens it directly in a browser)
+const previewEmailTemplate = (req, res) => {
+  try {
+    const { template } = req.params;
+    const { locale, format = "json" } = req.query;
+
+    if (!hasTemplate(template)) {
+      return res.status(404).json({ message: "Email template not found" });
+    }
+
+    if (!["json", "html", "text"].includes(format)) {
+      return res
+        .status(400)
+        .json({ message: "format must be json, html or text." });
+    }
+
+    const email = renderEmailPreview(template, locale);
+
+    if (format === "html") return res.type("html").send(email.html);
+    if (format === "text") return res.type("text").send(email.text);
+
+    res.status(200).json({
+      message: "Email preview rendered successfully",
+      data: email,
+    });
+  } catch (error) {
+    console.error("Preview Email Error:", error.message);
+    res.status(500).json({ message: "Internal: Unable to render email" });
+  }
+};
+
+export {
+  getWalletAudit,
+  rebuildWallet,
+  getExchangeRates,
+  putExchangeRate,
+  getUserLimits,
+  putUserLimits,
+  getRiskDecisions,
+  approveHeldDonation,
+  rejectHeldDonation,
+  getJobs,
+  viewJob,
+  retryDeadJob,
+  getEmailTemplates,
+  previewEmailTemplate,
+};
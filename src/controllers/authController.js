@@ -1,20 +1,41 @@
-import jwt from "jsonwebtoken";
 import prisma from "../config/db.js";
+import { DEFAULT_CURRENCY } from "../config/currencies.js";
 import { hashPassword, verifyPassword } from "../utils/hash.js";
-
-const JWT_SECRET = process.env.JWT_SECRET || "test_secret_key";
-const JWT_EXPIRES = "24h";
+import { resolveLocale } from "../utils/emailTemplates/index.js";
+import {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} from "../services/tokenService.js";
+import {
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmailToken,
+} from "../services/verificationService.js";
+import {
+  requestPasswordReset,
+  resetPassword as resetUserPassword,
+} from "../services/passwordResetService.js";
+import {
+  getEmailPreferences,
+  updateEmailPreferences,
+  unsubscribe,
+} from "../services/notificationService.js";
 
 // Register a new user
 const register = async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, locale } = req.body;
 
     // Validate input
     if (!name || !email || !password) {
       return res.status(400).json({ message: "All fields are required." });
     }
 
+    // email language: explicit choice, else the browser's, else English
+    const emailLocale = resolveLocale(locale || req.get("accept-language"));
+
     // Check if user exists (only select id for faster query)
     const existingUser = await prisma.user.findUnique({
       where: { email },
@@ -36,9 +57,12 @@ const register = async (req, res) => {
         name,
         email,
         password: hashedPassword,
-        wallet: {
+        locale: emailLocale,
+        wallets: {
           create: {
+            currency: DEFAULT_CURRENCY,
             balance: 0,
+            ledgerAccount: { create: { type: "WALLET" } },
           },
         },
       },
@@ -46,18 +70,26 @@ const register = async (req, res) => {
         id: true,
         name: true,
         email: true,
+        locale: true,
       },
     });
 
-    // Generate JWT token
-    const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, {
-      expiresIn: JWT_EXPIRES,
+    // Send verification email in the background (never blocks registration)
+    sendVerificationEmail(user).catch((err) => {
+      console.error("Background verification email error:", err.message);
     });
 
+    // Start a session: short-lived access token + rotating refresh token
+    const { accessToken, refreshToken, refreshTokenExpiresAt } =
+      await issueTokens(user);
+
     res.status(201).json({
-      message: "User registered successfully",
-      user,
-      token,
+      message:
+        "User registered successfully. Check your email to verify your account.",
+      user: { ...user, emailVerified: false },
+      token: accessToken,
+      refreshToken,
+      refreshTokenExpiresAt,
     });
   } catch (error) {
     console.error("Error during registration:", error.message);
@@ -90,21 +122,21 @@ const login = async (req, res) => {
       },
     });
 
+    // Same message for unknown email and wrong password (no account enumeration)
     if (!user) {
-      return res.status(401).json({ message: "Email not found." });
+      return res.status(401).json({ message: "Invalid email or password." });
     }
 
     // Verify password
     const isPasswordValid = await verifyPassword(password, user.password);
 
     if (!isPasswordValid) {
-      return res.status(401).json({ message: "Password is incorrect." });
+      return res.status(401).json({ message: "Invalid email or password." });
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, {
-      expiresIn: JWT_EXPIRES,
-    });
+    // Start a session: short-lived access token + rotating refresh token
+    const { accessToken, refreshToken, refreshTokenExpiresAt } =
+      await issueTokens(user);
 
     res.status(200).json({
       message: `User ${user.name} logged in successfully`,
@@ -113,7 +145,9 @@ const login = async (req, res) => {
         name: user.name,
         email: user.email,
       },
-      token,
+      token: accessToken,
+      refreshToken,
+      refreshTokenExpiresAt,
     });
   } catch (error) {
     console.error("Error during login:", error.message);
@@ -123,4 +157,252 @@ const login = async (req, res) => {
   }
 };
 
-export { register, login };
+// Exchange a refresh token for a new token pair
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required." });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken);
+
+    res.status(200).json({
+      message: "Token refreshed successfully",
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+    });
+  } catch (error) {
+    console.error("Error during token refresh:", error.message);
+    if (
+      [
+        "Invalid refresh token",
+        "Refresh token expired",
+        "Refresh token reuse detected",
+        "Session has been revoked",
+      ].includes(error.message)
+    ) {
+      return res.status(401).json({ message: error.message });
+    }
+    res.status(500).json({
+      message: "Internal: Error Occurred during token refresh",
+    });
+  }
+};
+
+// Logout: revoke the current session (or every session with allDevices)
+const logout = async (req, res) => {
+  try {
+    const { allDevices } = req.body || {};
+
+    if (allDevices === true) {
+      await revokeAllSessions(req.user.id, "LOGOUT_ALL");
+    } else {
+      await revokeSession(req.user.sid, "LOGOUT");
+    }
+
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Error during logout:", error.message);
+    res.status(500).json({
+      message: "Internal: Error Occurred during logout",
+    });
+  }
+};
+
+// Verify email address with the token from the verification email (the
+// emailed link opens the GET route with ?token=)
+const verifyEmail = async (req, res) => {
+  try {
+    const token = req.query.token || req.body?.token;
+
+    if (!token) {
+      return res
+        .status(400)
+        .json({ message: "Verification token is required." });
+    }
+
+    const user = await verifyEmailToken(token);
+
+    res.status(200).json({
+      message: "Email verified successfully",
+      data: { id: user.id, email: user.email, verifiedAt: user.emailVerifiedAt },
+    });
+  } catch (error) {
+    console.error("Error during email verification:", error.message);
+    if (error.message === "Invalid or expired verification token") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({
+      message: "Internal: Error Occurred during email verification",
+    });
+  }
+};
+
+// Resend the verification email to the logged-in user
+const resendVerification = async (req, res) => {
+  try {
+    await resendVerificationEmail(req.user.id);
+
+    res.status(200).json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Error resending verification email:", error.message);
+    if (error.message === "Email already verified") {
+      return res.status(409).json({ message: error.message });
+    }
+    if (
+      error.message === "Verification email sent recently, try again later"
+    ) {
+      return res.status(429).json({ message: error.message });
+    }
+    res.status(500).json({
+      message: "Internal: Error Occurred while sending verification email",
+    });
+  }
+};
+
+// Request a password reset link
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required." });
+    }
+
+    // Run in the background so the response (and its timing) is the same
+    // whether or not the email exists
+    requestPasswordReset(email).catch((err) => {
+      console.error("Background password reset error:", err.message);
+    });
+
+    res.status(200).json({
+      message:
+        "If an account exists for that email, a password reset link has been sent.",
+    });
+  } catch (error) {
+    console.error("Error during forgot password:", error.message);
+    res.status(500).json({
+      message: "Internal: Error Occurred during forgot password",
+    });
+  }
+};
+
+// Set a new password using a reset token
+const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res
+        .status(400)
+        .json({ message: "Token and new password are required." });
+    }
+
+    await resetUserPassword(token, newPassword);
+
+    res.status(200).json({
+      message: "Password reset successfully. Please log in again.",
+    });
+  } catch (error) {
+    console.error("Error during password reset:", error.message);
+    if (error.message === "Invalid or expired reset token") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({
+      message: "Internal: Error Occurred during password reset",
+    });
+  }
+};
+
+// The logged-in user's email language and optional email categories
+const getPreferences = async (req, res) => {
+  try {
+    const preferences = await getEmailPreferences(req.user.id);
+
+    res.status(200).json({
+      message: "Email preferences retrieved successfully",
+      data: preferences,
+    });
+  } catch (error) {
+    console.error("Error getting email preferences:", error.message);
+    if (error.message === "User not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({
+      message: "Internal: Unable to retrieve email preferences",
+    });
+  }
+};
+
+const updatePreferences = async (req, res) => {
+  try {
+    const { locale, milestones, donationReceived } = req.body;
+
+    const preferences = await updateEmailPreferences(req.user.id, {
+      locale,
+      milestones,
+      donationReceived,
+    });
+
+    res.status(200).json({
+      message: "Email preferences updated successfully",
+      data: preferences,
+    });
+  } catch (error) {
+    console.error("Error updating email preferences:", error.message);
+    if (
+      [
+        "Email preferences must be true or false",
+        "Unsupported locale",
+      ].includes(error.message)
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({
+      message: "Internal: Unable to update email preferences",
+    });
+  }
+};
+
+// One-click unsubscribe from the link in an optional email (no login)
+const unsubscribeFromEmails = async (req, res) => {
+  try {
+    const token = req.query.token || req.body?.token;
+
+    if (!token) {
+      return res
+        .status(400)
+        .json({ message: "Unsubscribe token is required." });
+    }
+
+    const { category } = await unsubscribe(token);
+
+    res.status(200).json({
+      message: "You have been unsubscribed",
+      data: { category },
+    });
+  } catch (error) {
+    console.error("Error during unsubscribe:", error.message);
+    if (error.message === "Invalid unsubscribe link") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to unsubscribe" });
+  }
+};
+
+export {
+  register,
+  login,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  getPreferences,
+  updatePreferences,
+  unsubscribeFromEmails,
+};
@@ -0,0 +1,155 @@
+import {
+  createCampaign,
+  listCampaigns,
+  getCampaign,
+  closeCampaign,
+} from "../services/campaignService.js";
+import { getPaginationParams } from "../utils/pagination.js";
+
+const TITLE_MAX_LENGTH = 120;
+const DESCRIPTION_MAX_LENGTH = 5000;
+
+// start a fundraising campaign (POST /api/campaigns)
+const createCampaignEndpoint = async (req, res) => {
+  try {
+    const {
+      title,
+      description,
+      targetAmount,
+      currency,
+      deadline,
+      closeOnGoal,
+    } = req.body;
+
+    if (!title || !targetAmount) {
+      return res
+        .status(400)
+        .json({ message: "Title and target amount are required." });
+    }
+
+    if (
+      String(title).trim().length > TITLE_MAX_LENGTH ||
+      (description && String(description).length > DESCRIPTION_MAX_LENGTH)
+    ) {
+      return res.status(400).json({
+        message: `Title can be at most ${TITLE_MAX_LENGTH} characters and description ${DESCRIPTION_MAX_LENGTH}.`,
+      });
+    }
+
+    const campaign = await createCampaign(req.user.id, {
+      title: String(title).trim(),
+      description: description ? String(description) : null,
+      targetAmount,
+      currency,
+      deadline,
+      closeOnGoal,
+    });
+
+    res.status(201).json({
+      message: "Campaign created successfully",
+      data: campaign,
+    });
+  } catch (error) {
+    console.error("Create Campaign Error:", error.message);
+    if (
+      [
+        "Target amount must be greater than zero",
+        "Invalid date format",
+        "Deadline must be in the future",
+        "Unsupported currency",
+        "Amount has more decimal places than the currency allows",
+      ].includes(error.message)
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to create campaign" });
+  }
+};
+
+// list campaigns (GET /api/campaigns?status=OPEN&mine=true&page=1&limit=10)
+const getCampaigns = async (req, res) => {
+  try {
+    const { status, mine } = req.query;
+
+    const result = await listCampaigns(
+      {
+        status: status ? String(status).toUpperCase() : undefined,
+        ownerId: mine === "true" ? req.user.id : undefined,
+      },
+      getPaginationParams(req.query)
+    );
+
+    res.status(200).json({
+      message: "Campaigns retrieved successfully",
+      data: result.data,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Get Campaigns Error:", error.message);
+    if (["Invalid status", "Invalid cursor"].includes(error.message)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to retrieve campaigns" });
+  }
+};
+
+// campaign with live progress
+const viewCampaign = async (req, res) => {
+  try {
+    const campaignId = parseInt(req.params.campaignId);
+
+    if (isNaN(campaignId)) {
+      return res.status(400).json({ message: "Invalid campaign id." });
+    }
+
+    const campaign = await getCampaign(campaignId);
+
+    res.status(200).json({
+      message: "Campaign retrieved successfully",
+      data: campaign,
+    });
+  } catch (error) {
+    console.error("View Campaign Error:", error.message);
+    if (error.message === "Campaign not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to retrieve campaign" });
+  }
+};
+
+// owner closes the campaign early
+const closeCampaignEndpoint = async (req, res) => {
+  try {
+    const campaignId = parseInt(req.params.campaignId);
+
+    if (isNaN(campaignId)) {
+      return res.status(400).json({ message: "Invalid campaign id." });
+    }
+
+    const campaign = await closeCampaign(campaignId, req.user.id);
+
+    res.status(200).json({
+      message: "Campaign closed",
+      data: campaign,
+    });
+  } catch (error) {
+    console.error("Close Campaign Error:", error.message);
+    if (error.message === "Campaign not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === "Access denied to this campaign") {
+      return res.status(403).json({ message: error.message });
+    }
+    if (error.message === "Campaign is closed") {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to close campaign" });
+  }
+};
+
+export {
+  createCampaignEndpoint,
+  getCampaigns,
+  viewCampaign,
+  closeCampaignEndpoint,
+};
@@ -1,15 +1,41 @@
-import prisma from "../config/db.js";
 import {
   createDonation,
   getDonationsByDateRange,
   getSingleDonation,
   getDonationCount,
 } from "../services/donationService.js";
+import { reverseDonation } from "../services/reversalService.js";
+import {
+  getDonationReceipt,
+  verifyReceipt,
+} from "../services/receiptService.js";
+import { renderReceiptHtml, renderReceiptPdf } from "../utils/receipts.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_SYNC_MAX_ROWS,
+  parseExportOptions,
+  countDonationExport,
+  writeDonationExport,
+  requestDonationExport,
+  getExportDownload,
+} from "../services/exportService.js";
+import {
+  parseStatsOptions,
+  getDonationStats,
+} from "../services/statsService.js";
+import {
+  createRecurringDonation,
+  listRecurringDonations,
+  getRecurringDonation,
+  setRecurringDonationStatus,
+} from "../services/recurringDonationService.js";
+import { getPaginationParams } from "../utils/pagination.js";
 
 // create donation endpoint
 const createDonationEndpoint = async (req, res) => {
   try {
-    const { receiverId, amount, pin } = req.body;
+    const { receiverId, campaignId, amount, currency, message, anonymous } =
+      req.body;
     const userId = req.user.id;
 
     const idempotencyKey = req.headers["idempotency-key"];
@@ -20,41 +46,41 @@ const createDonationEndpoint = async (req, res) => {
       });
     }
 
-    if (!receiverId || !amount || !pin) {
+    if ((!receiverId && !campaignId) || !amount) {
       return res.status(400).json({ message: "All fields are required." });
     }
 
+    if (campaignId && isNaN(parseInt(campaignId))) {
+      return res.status(400).json({ message: "Invalid campaign id." });
+    }
+
     if (amount <= 0) {
       return res
         .status(400)
         .json({ message: "Amount must be greater than zero." });
     }
 
-    // Verify PIN
-    const transactionPin = await prisma.transactionPin.findUnique({
-      where: { userId },
-    });
-
-    if (!transactionPin) {
-      return res.status(403).json({
-        message: "Transaction PIN not set.",
-      });
-    }
-
-    const { verifyPassword } = await import("../utils/hash.js");
-    const isPinValid = await verifyPassword(pin, transactionPin.pinHash);
-
-    if (!isPinValid) {
-      return res.status(403).json({ message: "Invalid transaction PIN." });
-    }
-
     const transactionResult = await createDonation(
       userId,
       receiverId,
       amount,
-      idempotencyKey
+      idempotencyKey,
+      currency,
+      {
+        campaignId: campaignId ? parseInt(campaignId) : undefined,
+        message,
+        anonymous: anonymous === true || anonymous === "true",
+      }
     );
 
+    // held by the risk checks: funds reserved until an admin reviews it
+    if (transactionResult.status === "PENDING") {
+      return res.status(202).json({
+        message: "Donation is being reviewed",
+        data: transactionResult,
+      });
+    }
+
     res.status(201).json({
       message: "Donation successful",
       data: transactionResult,
@@ -67,11 +93,44 @@ const createDonationEndpoint = async (req, res) => {
         "sender or receiver does not exist",
         "Cannot donate to yourself",
         "Insufficient funds in wallet",
+        "Receiver wallet not found",
+        "Sender wallet not found",
+        "Receiver has no wallet in this currency",
+        "Exchange rate not available",
+        "Donation amount is too small to convert",
+        "Unsupported currency",
+        "Amount has more decimal places than the currency allows",
+        "Campaign is closed",
+        "Donation currency does not match campaign currency",
+        "Donation message is too long",
       ].includes(error.message)
     ) {
       return res.status(400).json({ message: error.message });
     }
 
+    if (error.message === "Donation blocked by risk checks") {
+      return res.status(403).json({ message: error.message });
+    }
+
+    if (error.message === "Donation limit exceeded") {
+      return res.status(403).json({
+        message: error.message,
+        limit: error.limit,
+        max: error.max,
+        remaining: error.remaining,
+        currency: error.currency,
+        resetsAt: error.resetsAt,
+      });
+    }
+
+    if (error.message === "Campaign not found") {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (error.message === "Idempotency key already used") {
+      return res.status(409).json({ message: error.message });
+    }
+
     res.status(500).json({ message: "Internal: Unable to process donation" });
   }
 };
@@ -79,7 +138,7 @@ const createDonationEndpoint = async (req, res) => {
 const getDonationsByPeriod = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { startDate, endDate, page = 1, limit = 10 } = req.query;
+    const { startDate, endDate, direction = "sent" } = req.query;
 
     // validate dates
     if (!startDate || !endDate) {
@@ -92,18 +151,23 @@ const getDonationsByPeriod = async (req, res) => {
       userId,
       startDate,
       endDate,
-      parseInt(page),
-      parseInt(limit)
+      getPaginationParams(req.query),
+      direction
     );
 
     res.status(200).json({
       message: "Donations retrieved successfully",
       data: result.data,
+      totals: result.totals,
       pagination: result.pagination,
     });
   } catch (error) {
     console.error("Get Donations Error:", error.message);
-    if (error.message === "Invalid date format") {
+    if (
+      ["Invalid date format", "Invalid direction", "Invalid cursor"].includes(
+        error.message
+      )
+    ) {
       return res.status(400).json({ message: error.message });
     }
     res.status(500).json({ message: "Internal: Unable to retrieve donations" });
@@ -139,27 +203,457 @@ const viewSingleDonation = async (req, res) => {
   }
 };
 
+// receipt for a donation (?format=html|pdf|json, html by default)
+const downloadDonationReceipt = async (req, res) => {
+  try {
+    const donationId = parseInt(req.params.donationId);
+    const { format = "html" } = req.query;
+
+    if (isNaN(donationId)) {
+      return res.status(400).json({ message: "Invalid donation id." });
+    }
+
+    if (!["html", "pdf", "json"].includes(format)) {
+      return res
+        .status(400)
+        .json({ message: "format must be html, pdf or json." });
+    }
+
+    const receipt = await getDonationReceipt(donationId, req.user.id);
+
+    if (format === "json") {
+      return res.status(200).json({
+        message: "Receipt retrieved successfully",
+        data: receipt,
+      });
+    }
+
+    if (format === "pdf") {
+      return res
+        .status(200)
+        .type("pdf")
+        .attachment(`receipt-${receipt.receiptNumber}.pdf`)
+        .send(renderReceiptPdf(receipt));
+    }
+
+    res.status(200).type("html").send(renderReceiptHtml(receipt));
+  } catch (error) {
+    console.error("Donation Receipt Error:", error.message);
+    if (error.message === "Donation not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === "Access denied to this donation") {
+      return res.status(403).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to create receipt" });
+  }
+};
+
+// public: is this receipt number + hash one we issued?
+const verifyReceiptEndpoint = async (req, res) => {
+  try {
+    const { number, hash } = req.query;
+
+    if (!number || !hash) {
+      return res
+        .status(400)
+        .json({ message: "Receipt number and hash are required." });
+    }
+
+    const result = await verifyReceipt(number, hash);
+
+    res.status(200).json({
+      message: result.valid ? "Receipt is genuine" : "Receipt is not valid",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Verify Receipt Error:", error.message);
+    res.status(500).json({ message: "Internal: Unable to verify receipt" });
+  }
+};
+
+// stream every matching donation as CSV or NDJSON; exports over
+// EXPORT_SYNC_MAX_ROWS are built in the background and emailed as a link
+const exportDonations = async (req, res) => {
+  const userId = req.user.id;
+
+  let options;
+  try {
+    options = parseExportOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    const total = await countDonationExport(userId, options);
+
+    if (total > EXPORT_SYNC_MAX_ROWS) {
+      const donationExport = await requestDonationExport(userId, options);
+
+      return res.status(202).json({
+        message:
+          "Export is being prepared; a download link will be emailed to you",
+        data: { ...donationExport, rows: total },
+      });
+    }
+
+    const { contentType, extension } = EXPORT_FORMATS[options.format];
+    res
+      .status(200)
+      .type(contentType)
+      .attachment(
+        `donations-${new Date().toISOString().slice(0, 10)}.${extension}`
+      );
+
+    // wait for the client to take what was written before reading more rows
+    const write = async (chunk) => {
+      if (res.destroyed) throw new Error("Client closed the connection");
+      if (res.write(chunk)) return;
+
+      await new Promise((resolve) => {
+        const done = () => {
+          res.off("drain", done);
+          res.off("close", done);
+          resolve();
+        };
+        res.on("drain", done);
+        res.on("close", done);
+      });
+    };
+
+    await writeDonationExport(userId, options, write);
+    res.end();
+  } catch (error) {
+    console.error("Export Donations Error:", error.message);
+    // part of the file is already sent: cut it off rather than end it cleanly
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: "Internal: Unable to export donations" });
+  }
+};
+
+// public: download a background export through its emailed link
+const downloadDonationExport = async (req, res) => {
+  try {
+    const { filePath, fileName, contentType } = await getExportDownload(
+      req.params.token
+    );
+
+    res.type(contentType).download(filePath, fileName, (error) => {
+      if (!error) return;
+      console.error("Download Export Error:", error.message);
+      if (!res.headersSent) {
+        res.status(410).json({ message: "Export has expired" });
+      }
+    });
+  } catch (error) {
+    console.error("Download Export Error:", error.message);
+    if (error.message === "Export not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === "Export has expired") {
+      return res.status(410).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to download export" });
+  }
+};
+
+// totals, averages and a series per day/week/month for sent and received
+// donations, in the time zone the caller asks for
+const getDonationStatsEndpoint = async (req, res) => {
+  let options;
+  try {
+    options = parseStatsOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    const stats = await getDonationStats(req.user.id, options);
+
+    res.status(200).json({
+      message: "Donation stats retrieved successfully",
+      data: stats,
+    });
+  } catch (error) {
+    console.error("Get Donation Stats Error:", error.message);
+    res
+      .status(500)
+      .json({ message: "Internal: Unable to retrieve donation stats" });
+  }
+};
+
 const getDonationCountEndpoint = async (req, res) => {
   try {
     const userId = req.user.id;
+    const { direction = "sent" } = req.query;
 
-    const count = await getDonationCount(userId);
+    const { count, totals } = await getDonationCount(userId, direction);
 
     res.status(200).json({
       message: "Donation count retrieved successfully",
-      data: { count },
+      data: { count, direction, totals },
     });
   } catch (error) {
     console.error("Get Donation Count Error:", error.message);
+    if (error.message === "Invalid direction") {
+      return res.status(400).json({ message: error.message });
+    }
     res
       .status(500)
       .json({ message: "Internal: Unable to retrieve donation count" });
   }
 };
 
+// reverse a donation (receiver within the window, or admin)
+const reverseDonationEndpoint = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const donationId = parseInt(req.params.donationId);
+    const { amount, reason } = req.body || {};
+
+    const idempotencyKey = req.headers["idempotency-key"];
+
+    if (!idempotencyKey) {
+      return res.status(400).json({
+        message: "Idempotency-Key header is required",
+      });
+    }
+
+    if (isNaN(donationId)) {
+      return res.status(400).json({ message: "Invalid donation id." });
+    }
+
+    const reversal = await reverseDonation({
+      donationId,
+      actorId: userId,
+      amount,
+      reason,
+      idempotencyKey,
+    });
+
+    res.status(201).json({
+      message: "Donation reversed successfully",
+      data: reversal,
+    });
+  } catch (error) {
+    console.error("Reverse Donation Error:", error.message);
+    if (["Donation not found", "Wallet not found"].includes(error.message)) {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === "Access denied to this donation") {
+      return res.status(403).json({ message: error.message });
+    }
+    if (
+      [
+        "Reversal window has passed",
+        "Donation already fully reversed",
+        "Reversal amount must be greater than zero",
+        "Reversal amount exceeds remaining donation amount",
+        "Receiver has insufficient funds for reversal",
+        "Reversal amount is too small to convert",
+        "Amount has more decimal places than the currency allows",
+      ].includes(error.message)
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (
+      [
+        "Idempotency key already used",
+        "Donation was modified, please retry",
+      ].includes(error.message)
+    ) {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to reverse donation" });
+  }
+};
+
+const recurringErrorStatus = (message) => {
+  if (message === "Recurring donation not found") return 404;
+  if (message === "Access denied to this recurring donation") return 403;
+  if (
+    [
+      "Invalid recurring donation status change",
+      "Recurring donation was modified, please retry",
+    ].includes(message)
+  ) {
+    return 409;
+  }
+  return null;
+};
+
+// set up a standing donation instruction (POST /api/donations/recurring)
+const createRecurringDonationEndpoint = async (req, res) => {
+  try {
+    const { receiverId, amount, currency, schedule, cron, startAt, endsAt } =
+      req.body;
+    const maxRuns =
+      req.body.maxRuns === undefined ? undefined : Number(req.body.maxRuns);
+
+    if (!receiverId || !amount || !schedule) {
+      return res.status(400).json({ message: "All fields are required." });
+    }
+
+    const receiverUserId = parseInt(receiverId);
+
+    if (isNaN(receiverUserId)) {
+      return res.status(400).json({ message: "Invalid receiver id." });
+    }
+
+    const instruction = await createRecurringDonation(req.user.id, {
+      receiverId: receiverUserId,
+      amount,
+      currency,
+      schedule,
+      cron,
+      startAt,
+      endsAt,
+      maxRuns,
+    });
+
+    res.status(201).json({
+      message: "Recurring donation created",
+      data: instruction,
+    });
+  } catch (error) {
+    console.error("Create Recurring Donation Error:", error.message);
+    if (
+      [
+        "Donation amount must be greater than zero",
+        "Cannot donate to yourself",
+        "Invalid schedule",
+        "Invalid cron expression",
+        "Invalid date format",
+        "endsAt must be after the first run",
+        "maxRuns must be a positive whole number",
+        "sender or receiver does not exist",
+        "Unsupported currency",
+        "Amount has more decimal places than the currency allows",
+      ].includes(error.message)
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Internal: Unable to create recurring donation" });
+  }
+};
+
+const getRecurringDonations = async (req, res) => {
+  try {
+    const result = await listRecurringDonations(
+      req.user.id,
+      getPaginationParams(req.query)
+    );
+
+    res.status(200).json({
+      message: "Recurring donations retrieved successfully",
+      data: result.data,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Get Recurring Donations Error:", error.message);
+    if (error.message === "Invalid cursor") {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Internal: Unable to retrieve recurring donations" });
+  }
+};
+
+// one instruction with its most recent runs
+const viewRecurringDonation = async (req, res) => {
+  try {
+    const recurringDonationId = parseInt(req.params.recurringDonationId);
+
+    if (isNaN(recurringDonationId)) {
+      return res
+        .status(400)
+        .json({ message: "Invalid recurring donation id." });
+    }
+
+    const instruction = await getRecurringDonation(
+      recurringDonationId,
+      req.user.id
+    );
+
+    res.status(200).json({
+      message: "Recurring donation retrieved successfully",
+      data: instruction,
+    });
+  } catch (error) {
+    console.error("View Recurring Donation Error:", error.message);
+    const status = recurringErrorStatus(error.message);
+    if (status) {
+      return res.status(status).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Internal: Unable to retrieve recurring donation" });
+  }
+};
+
+// pause / resume / cancel share one handler
+const changeRecurringDonationStatus = (status, message) => async (req, res) => {
+  try {
+    const recurringDonationId = parseInt(req.params.recurringDonationId);
+
+    if (isNaN(recurringDonationId)) {
+      return res
+        .status(400)
+        .json({ message: "Invalid recurring donation id." });
+    }
+
+    const instruction = await setRecurringDonationStatus(
+      recurringDonationId,
+      req.user.id,
+      status
+    );
+
+    res.status(200).json({ message, data: instruction });
+  } catch (error) {
+    console.error("Change Recurring Donation Error:", error.message);
+    const statusCode = recurringErrorStatus(error.message);
+    if (statusCode) {
+      return res.status(statusCode).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Internal: Unable to update recurring donation" });
+  }
+};
+
+const pauseRecurringDonation = changeRecurringDonationStatus(
+  "PAUSED",
+  "Recurring donation paused"
+);
+const resumeRecurringDonation = changeRecurringDonationStatus(
+  "ACTIVE",
+  "Recurring donation resumed"
+);
+const cancelRecurringDonation = changeRecurringDonationStatus(
+  "CANCELLED",
+  "Recurring donation cancelled"
+);
+
 export {
+  createRecurringDonationEndpoint,
+  getRecurringDonations,
+  viewRecurringDonation,
+  pauseRecurringDonation,
+  resumeRecurringDonation,
+  cancelRecurringDonation,
   createDonationEndpoint,
   getDonationsByPeriod,
   viewSingleDonation,
+  downloadDonationReceipt,
+  verifyReceiptEndpoint,
+  exportDonations,
+  downloadDonationExport,
+  getDonationStatsEndpoint,
   getDonationCountEndpoint,
+  reverseDonationEndpoint,
 };
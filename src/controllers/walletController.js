@@ -1,6 +1,23 @@
 import bcrypt from "bcrypt";
 import prisma from "../config/db.js";
 import { Prisma } from "@prisma/client";
+import {
+  verifyTransactionPin,
+  notifyPinChanged,
+  requestPinReset,
+  confirmPinReset,
+} from "../services/pinService.js";
+import { normalizeCurrency } from "../config/currencies.js";
+import {
+  openWallet,
+  listWallets,
+  createTopUp,
+  getWalletTransactions,
+  getSingleTransaction,
+  getWalletStatement,
+} from "../services/walletService.js";
+import { getDonationLimits } from "../services/limitService.js";
+import { getPaginationParams } from "../utils/pagination.js";
 
 // create transaction pin
 const createTransactionPin = async (req, res) => {
@@ -88,32 +105,39 @@ const updateTransactionPin = async (req, res) => {
         .json({ message: "New PIN must be a 6-digit number." });
     }
 
-    // fetch existing pin
-    const existingPin = await prisma.transactionPin.findUnique({
-      where: { userId },
-    });
-
-    if (!existingPin) {
-      return res.status(404).json({ message: "No existing PIN found." });
-    }
-
-    // verify old pin (through hashing  comparison)
-    const isOldPinValid = await bcrypt.compare(
-      oldPin ?? "",
-      existingPin.pinHash
-    );
-
-    if (!isOldPinValid) {
-      return res.status(401).json({ message: "Old PIN is incorrect." });
+    // verify old pin (counts failures towards the PIN lockout)
+    try {
+      await verifyTransactionPin(userId, oldPin);
+    } catch (pinError) {
+      if (pinError.message === "Transaction PIN not set") {
+        return res.status(404).json({ message: "No existing PIN found." });
+      }
+      if (pinError.message === "Invalid transaction PIN") {
+        return res.status(401).json({
+          message: "Old PIN is incorrect.",
+          attemptsRemaining: pinError.attemptsRemaining,
+        });
+      }
+      if (pinError.message === "Transaction PIN locked") {
+        return res.status(423).json({
+          message: "Transaction PIN is locked after too many failed attempts.",
+          lockedUntil: pinError.lockedUntil,
+        });
+      }
+      throw pinError;
     }
 
     // hash the new pin
     const hashedNewPin = await bcrypt.hash(newPin, 10);
 
-    // update transaction pin
-    const updatedPin = await prisma.transactionPin.update({
-      where: { userId },
-      data: { pinHash: hashedNewPin },
+    // update transaction pin and email the owner about it
+    const updatedPin = await prisma.$transaction(async (tx) => {
+      const pin = await tx.transactionPin.update({
+        where: { userId },
+        data: { pinHash: hashedNewPin },
+      });
+      await notifyPinChanged(tx, userId, new Date());
+      return pin;
     });
 
     res.status(200).json({
@@ -129,6 +153,68 @@ const updateTransactionPin = async (req, res) => {
   }
 };
 
+// request a PIN reset code (forgot PIN)
+const requestTransactionPinReset = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const userId = req.user?.id;
+
+    if (!password) {
+      return res.status(400).json({ message: "Account password is required." });
+    }
+
+    const { expiresAt } = await requestPinReset(userId, password);
+
+    res.status(200).json({
+      message: "A PIN reset code has been sent to your email",
+      data: { expiresAt },
+    });
+  } catch (error) {
+    console.error("Request PIN Reset Error:", error.message);
+    if (error.message === "Transaction PIN not set") {
+      return res.status(404).json({ message: "No existing PIN found." });
+    }
+    if (error.message === "Password is incorrect") {
+      return res.status(401).json({ message: "Password is incorrect." });
+    }
+    res.status(500).json({ message: "Internal: Unable to request PIN reset" });
+  }
+};
+
+// confirm a PIN reset with the emailed code
+const confirmTransactionPinReset = async (req, res) => {
+  try {
+    const { code, newPin } = req.body;
+    const userId = req.user?.id;
+
+    if (!code || !newPin) {
+      return res
+        .status(400)
+        .json({ message: "Reset code and new PIN are required." });
+    }
+
+    if (newPin.length !== 6 || !/^\d{6}$/.test(newPin)) {
+      return res
+        .status(400)
+        .json({ message: "New PIN must be a 6-digit number." });
+    }
+
+    const result = await confirmPinReset(userId, code, newPin);
+
+    res.status(200).json({
+      message:
+        "Transaction PIN reset successfully. Donations are paused for a short cooling-off period.",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Confirm PIN Reset Error:", error.message);
+    if (error.message === "Invalid or expired reset code") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to reset PIN" });
+  }
+};
+
 // top-up wallet (minimal security with "TOP-SECRET" header)
 const topUpWallet = async (req, res) => {
   try {
@@ -147,44 +233,157 @@ const topUpWallet = async (req, res) => {
       });
     }
 
-    const { amount } = req.body;
+    const { amount, currency } = req.body;
     const numeric = Number(amount);
 
-    if (!amount || numeric <= 0) {
+    if (!Number.isFinite(numeric) || numeric <= 0) {
       return res
         .status(400)
-        .json({ message: "Amount must be less than zero." });
+        .json({ message: "Amount must be greater than zero." });
     }
 
     const userId = req.user?.id;
+    const idempotencyKey = req.headers["idempotency-key"];
 
-    const updatedWallet = await prisma.wallet.upsert({
-      where: { userId },
-      update: { balance: { increment: numeric } },
-      create: {
-        userId,
-        balance: numeric,
+    const transaction = await createTopUp(
+      userId,
+      numeric,
+      idempotencyKey,
+      currency
+    );
+
+    const wallet = await prisma.wallet.findUnique({
+      where: {
+        userId_currency: { userId, currency: transaction.currency },
       },
     });
 
     // simple audit log
     console.info(
-      `Wallet Top-Up: User ${userId} topped up ${numeric} at=${new Date().toISOString()}. New balance: ${
-        updatedWallet.balance
-      }`
+      `Wallet Top-Up: User ${userId} topped up ${numeric} ${
+        transaction.currency
+      } at=${new Date().toISOString()} ref=${
+        transaction.reference
+      }. New balance: ${wallet.balance}`
     );
 
     res.status(200).json({
       message: "Wallet topped up successfully",
-      data: updatedWallet,
+      data: { transaction, wallet },
     });
   } catch (error) {
     console.error("Top-Up Wallet Error:", error);
+    if (
+      [
+        "Top-up amount must be greater than zero",
+        "Unsupported currency",
+        "Amount has more decimal places than the currency allows",
+      ].includes(error.message)
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.message === "Idempotency key already used") {
+      return res.status(409).json({ message: error.message });
+    }
     res.status(500).json({ message: "Internal: Unable to top-up wallet" });
   }
 };
 
-// get wallet
+// list wallet transactions (GET /api/wallet/transactions?type=TOPUP)
+const listWalletTransactions = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const { type, currency, startDate, endDate } = req.query;
+
+    const result = await getWalletTransactions(
+      userId,
+      { type, currency, startDate, endDate },
+      getPaginationParams(req.query)
+    );
+
+    res.status(200).json({
+      message: "Transactions retrieved successfully",
+      data: result.data,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Get Wallet Transactions Error:", error.message);
+    if (
+      [
+        "Invalid date format",
+        "Unsupported currency",
+        "Invalid cursor",
+      ].includes(error.message)
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Internal: Unable to retrieve transactions" });
+  }
+};
+
+// view a single wallet transaction
+const viewSingleTransaction = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const transactionId = parseInt(req.params.transactionId);
+
+    if (isNaN(transactionId)) {
+      return res.status(400).json({ message: "Invalid transaction id." });
+    }
+
+    const transaction = await getSingleTransaction(transactionId, userId);
+
+    res.status(200).json({
+      message: "Transaction retrieved successfully",
+      data: transaction,
+    });
+  } catch (error) {
+    console.error("View Single Transaction Error:", error.message);
+    if (error.message === "Transaction not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === "Access denied to this transaction") {
+      return res.status(403).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Internal: Unable to retrieve transaction" });
+  }
+};
+
+// wallet statement (GET /api/wallet/statement?from=&to=&currency=)
+const getStatement = async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const { from, to, currency } = req.query;
+
+    const statement = await getWalletStatement(userId, from, to, currency);
+
+    res.status(200).json({
+      message: "Statement retrieved successfully",
+      data: statement,
+    });
+  } catch (error) {
+    console.error("Get Statement Error:", error.message);
+    if (
+      [
+        "Invalid date format",
+        "from must be before to",
+        "Unsupported currency",
+      ].includes(error.message)
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.message === "Wallet not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to retrieve statement" });
+  }
+};
+
+// get wallet (GET /api/wallet?currency=USD, default currency if omitted)
 const getWallet = async (req, res) => {
   // Implementation for getting wallet details
   try {
@@ -195,7 +394,12 @@ const getWallet = async (req, res) => {
 
     const userId = req.user?.id;
     const wallet = await prisma.wallet.findUnique({
-      where: { userId },
+      where: {
+        userId_currency: {
+          userId,
+          currency: normalizeCurrency(req.query.currency),
+        },
+      },
     });
 
     if (!wallet) {
@@ -208,8 +412,81 @@ const getWallet = async (req, res) => {
     });
   } catch (error) {
     console.error("Get Wallet Error:", error);
+    if (error.message === "Unsupported currency") {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: "Internal: Unable to retrieve wallet" });
   }
 };
 
-export { createTransactionPin, updateTransactionPin, getWallet, topUpWallet };
+// list all of the user's wallets, one per currency
+const getWallets = async (req, res) => {
+  try {
+    const wallets = await listWallets(req.user.id);
+
+    res.status(200).json({
+      message: "Wallets retrieved successfully",
+      data: wallets,
+    });
+  } catch (error) {
+    console.error("Get Wallets Error:", error.message);
+    res.status(500).json({ message: "Internal: Unable to retrieve wallets" });
+  }
+};
+
+// donation limits with what is left in the current windows (api/wallet/limits?currency=NGN)
+const getLimits = async (req, res) => {
+  try {
+    const limits = await getDonationLimits(req.user.id, req.query.currency);
+
+    res.status(200).json({
+      message: "Donation limits retrieved successfully",
+      data: limits,
+    });
+  } catch (error) {
+    console.error("Get Limits Error:", error.message);
+    if (error.message === "Unsupported currency") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to retrieve limits" });
+  }
+};
+
+// open a wallet in another currency (no-op if it already exists)
+const createWallet = async (req, res) => {
+  try {
+    const { currency } = req.body;
+
+    if (!currency) {
+      return res.status(400).json({ message: "Currency is required." });
+    }
+
+    const wallet = await openWallet(req.user.id, currency);
+
+    res.status(201).json({
+      message: "Wallet ready",
+      data: wallet,
+    });
+  } catch (error) {
+    console.error("Create Wallet Error:", error.message);
+    if (error.message === "Unsupported currency") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to create wallet" });
+  }
+};
+
+export {
+  createTransactionPin,
+  updateTransactionPin,
+  requestTransactionPinReset,
+  confirmTransactionPinReset,
+  getWallet,
+  getWallets,
+  createWallet,
+  getLimits,
+  topUpWallet,
+  listWalletTransactions,
+  viewSingleTransaction,
+  getStatement,
+};
@@ -0,0 +1,203 @@
+import {
+  WEBHOOK_EVENTS,
+  createWebhookSubscription,
+  listWebhookSubscriptions,
+  deleteWebhookSubscription,
+  listWebhookDeliveries,
+  replayWebhookDelivery,
+} from "../services/webhookService.js";
+import { getPaginationParams } from "../utils/pagination.js";
+
+// Subscriptions belong to a user (their own events) or, when created by an
+// admin under /api/admin/webhooks, to an integration (everyone's events).
+// Each handler is built for one kind of owner.
+const userOwner = (req) => req.user.id;
+const integrationOwner = () => null;
+
+const webhookErrorStatus = (message) => {
+  if (
+    [
+      "Invalid webhook URL",
+      "Webhook URL must be a public address",
+      "Unknown webhook event",
+      "Invalid status",
+      "Invalid cursor",
+    ].includes(message)
+  ) {
+    return 400;
+  }
+  if (
+    ["Webhook subscription not found", "Webhook delivery not found"].includes(
+      message
+    )
+  ) {
+    return 404;
+  }
+  if (
+    [
+      "Only failed deliveries can be replayed",
+      "Webhook subscription is not active",
+    ].includes(message)
+  ) {
+    return 409;
+  }
+  return null;
+};
+
+const createSubscriptionFor = (ownerOf) => async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    if (!url || !events) {
+      return res.status(400).json({
+        message: "URL and events are required.",
+        events: WEBHOOK_EVENTS,
+      });
+    }
+
+    const subscription = await createWebhookSubscription(ownerOf(req), {
+      url,
+      events,
+      description,
+    });
+
+    res.status(201).json({
+      message: "Webhook subscription created. Store the secret now.",
+      data: subscription,
+    });
+  } catch (error) {
+    console.error("Create Webhook Error:", error.message);
+    const status = webhookErrorStatus(error.message);
+    if (status) {
+      return res
+        .status(status)
+        .json({ message: error.message, events: WEBHOOK_EVENTS });
+    }
+    res.status(500).json({ message: "Internal: Unable to create webhook" });
+  }
+};
+
+const listSubscriptionsFor = (ownerOf) => async (req, res) => {
+  try {
+    const result = await listWebhookSubscriptions(
+      ownerOf(req),
+      getPaginationParams(req.query)
+    );
+
+    res.status(200).json({
+      message: "Webhook subscriptions retrieved successfully",
+      data: result.data,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("List Webhooks Error:", error.message);
+    if (error.message === "Invalid cursor") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to retrieve webhooks" });
+  }
+};
+
+const deleteSubscriptionFor = (ownerOf) => async (req, res) => {
+  try {
+    const subscriptionId = parseInt(req.params.subscriptionId);
+
+    if (isNaN(subscriptionId)) {
+      return res.status(400).json({ message: "Invalid subscription id." });
+    }
+
+    await deleteWebhookSubscription(subscriptionId, ownerOf(req));
+
+    res.status(200).json({ message: "Webhook subscription deleted" });
+  } catch (error) {
+    console.error("Delete Webhook Error:", error.message);
+    const status = webhookErrorStatus(error.message);
+    if (status) {
+      return res.status(status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to delete webhook" });
+  }
+};
+
+const listDeliveriesFor = (ownerOf) => async (req, res) => {
+  try {
+    const subscriptionId = parseInt(req.params.subscriptionId);
+
+    if (isNaN(subscriptionId)) {
+      return res.status(400).json({ message: "Invalid subscription id." });
+    }
+
+    const result = await listWebhookDeliveries(
+      subscriptionId,
+      ownerOf(req),
+      { status: req.query.status },
+      getPaginationParams(req.query)
+    );
+
+    res.status(200).json({
+      message: "Webhook deliveries retrieved successfully",
+      data: result.data,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("List Webhook Deliveries Error:", error.message);
+    const status = webhookErrorStatus(error.message);
+    if (status) {
+      return res.status(status).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Internal: Unable to retrieve webhook deliveries" });
+  }
+};
+
+const replayDeliveryFor = (ownerOf) => async (req, res) => {
+  try {
+    const deliveryId = parseInt(req.params.deliveryId);
+
+    if (isNaN(deliveryId)) {
+      return res.status(400).json({ message: "Invalid delivery id." });
+    }
+
+    const delivery = await replayWebhookDelivery(deliveryId, ownerOf(req));
+
+    res.status(202).json({
+      message: "Webhook delivery queued for replay",
+      data: delivery,
+    });
+  } catch (error) {
+    console.error("Replay Webhook Delivery Error:", error.message);
+    const status = webhookErrorStatus(error.message);
+    if (status) {
+      return res.status(status).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Internal: Unable to replay webhook delivery" });
+  }
+};
+
+const createWebhook = createSubscriptionFor(userOwner);
+const getWebhooks = listSubscriptionsFor(userOwner);
+const deleteWebhook = deleteSubscriptionFor(userOwner);
+const getWebhookDeliveries = listDeliveriesFor(userOwner);
+const replayWebhook = replayDeliveryFor(userOwner);
+
+const createIntegrationWebhook = createSubscriptionFor(integrationOwner);
+const getIntegrationWebhooks = listSubscriptionsFor(integrationOwner);
+const deleteIntegrationWebhook = deleteSubscriptionFor(integrationOwner);
+const getIntegrationWebhookDeliveries = listDeliveriesFor(integrationOwner);
+const replayIntegrationWebhook = replayDeliveryFor(integrationOwner);
+
+export {
+  createWebhook,
+  getWebhooks,
+  deleteWebhook,
+  getWebhookDeliveries,
+  replayWebhook,
+  createIntegrationWebhook,
+  getIntegrationWebhooks,
+  deleteIntegrationWebhook,
+  getIntegrationWebhookDeliveries,
+  replayIntegrationWebhook,
+};
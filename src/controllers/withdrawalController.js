@@ -0,0 +1,216 @@
+import {
+  addBankAccount,
+  listBankAccounts,
+  removeBankAccount,
+  createWithdrawal,
+  handlePayoutWebhook,
+  listWithdrawals,
+} from "../services/withdrawalService.js";
+import { getPaginationParams } from "../utils/pagination.js";
+
+// save a beneficiary bank account
+const addBeneficiary = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { bankCode, accountNumber, accountName } = req.body;
+
+    if (!bankCode || !accountNumber || !accountName) {
+      return res.status(400).json({ message: "All fields are required." });
+    }
+
+    if (!/^\d{6,20}$/.test(String(accountNumber))) {
+      return res
+        .status(400)
+        .json({ message: "Account number must be 6 to 20 digits." });
+    }
+
+    const bankAccount = await addBankAccount(userId, {
+      bankCode: String(bankCode),
+      accountNumber: String(accountNumber),
+      accountName: String(accountName).trim(),
+    });
+
+    res.status(201).json({
+      message: "Beneficiary saved successfully",
+      data: bankAccount,
+    });
+  } catch (error) {
+    console.error("Add Beneficiary Error:", error.message);
+    res.status(500).json({ message: "Internal: Unable to save beneficiary" });
+  }
+};
+
+const getBeneficiaries = async (req, res) => {
+  try {
+    const result = await listBankAccounts(
+      req.user.id,
+      getPaginationParams(req.query)
+    );
+
+    res.status(200).json({
+      message: "Beneficiaries retrieved successfully",
+      data: result.data,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Get Beneficiaries Error:", error.message);
+    if (error.message === "Invalid cursor") {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Internal: Unable to retrieve beneficiaries" });
+  }
+};
+
+const deleteBeneficiary = async (req, res) => {
+  try {
+    const bankAccountId = parseInt(req.params.bankAccountId);
+
+    if (isNaN(bankAccountId)) {
+      return res.status(400).json({ message: "Invalid beneficiary id." });
+    }
+
+    await removeBankAccount(req.user.id, bankAccountId);
+
+    res.status(200).json({ message: "Beneficiary removed successfully" });
+  } catch (error) {
+    console.error("Delete Beneficiary Error:", error.message);
+    if (error.message === "Bank account not found") {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to remove beneficiary" });
+  }
+};
+
+// withdraw to a saved bank account
+const withdraw = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { amount, currency, bankAccountId } = req.body;
+
+    const idempotencyKey = req.headers["idempotency-key"];
+
+    if (!idempotencyKey) {
+      return res.status(400).json({
+        message: "Idempotency-Key header is required",
+      });
+    }
+
+    if (!amount || !bankAccountId) {
+      return res.status(400).json({ message: "All fields are required." });
+    }
+
+    const bankAccount = parseInt(bankAccountId);
+
+    if (isNaN(bankAccount)) {
+      return res.status(400).json({ message: "Invalid beneficiary id." });
+    }
+
+    const transaction = await createWithdrawal(userId, {
+      amount,
+      currency,
+      bankAccountId: bankAccount,
+      idempotencyKey,
+    });
+
+    res.status(202).json({
+      message: "Withdrawal accepted",
+      data: transaction,
+    });
+  } catch (error) {
+    console.error("Withdraw Error:", error.message);
+    if (
+      [
+        "Withdrawal amount must be greater than zero",
+        "Insufficient funds in wallet",
+        "Unsupported currency",
+        "Amount has more decimal places than the currency allows",
+      ].includes(error.message)
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (
+      ["Bank account not found", "Wallet not found"].includes(error.message)
+    ) {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === "Idempotency key already used") {
+      return res.status(409).json({ message: error.message });
+    }
+    // PAYOUT_PROVIDER names no usable provider
+    if (
+      error.message === "Payouts are not available" ||
+      error.message.startsWith("Unknown payout provider")
+    ) {
+      return res.status(503).json({ message: "Payouts are not available" });
+    }
+    res.status(500).json({ message: "Internal: Unable to process withdrawal" });
+  }
+};
+
+const getWithdrawals = async (req, res) => {
+  try {
+    const result = await listWithdrawals(
+      req.user.id,
+      getPaginationParams(req.query)
+    );
+
+    res.status(200).json({
+      message: "Withdrawals retrieved successfully",
+      data: result.data,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    console.error("Get Withdrawals Error:", error.message);
+    if (error.message === "Invalid cursor") {
+      return res.status(400).json({ message: error.message });
+    }
+    res
+      .status(500)
+      .json({ message: "Internal: Unable to retrieve withdrawals" });
+  }
+};
+
+// payout provider callback (no user auth; verified by provider signature)
+const payoutWebhook = async (req, res) => {
+  try {
+    const withdrawal = await handlePayoutWebhook(req.params.provider, req);
+
+    res.status(200).json({
+      message: "Webhook processed",
+      data: { id: withdrawal.id, status: withdrawal.status },
+    });
+  } catch (error) {
+    console.error("Payout Webhook Error:", error.message);
+    if (error.message === "Invalid webhook signature") {
+      return res.status(401).json({ message: error.message });
+    }
+    if (
+      error.message === "Withdrawal not found" ||
+      error.message.startsWith("Unknown payout provider")
+    ) {
+      return res.status(404).json({ message: error.message });
+    }
+    if (
+      ["Invalid payout status", "Missing provider reference"].includes(
+        error.message
+      )
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.message === "Payouts are not available") {
+      return res.status(503).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Internal: Unable to process webhook" });
+  }
+};
+
+export {
+  addBeneficiary,
+  getBeneficiaries,
+  deleteBeneficiary,
+  withdraw,
+  getWithdrawals,
+  payoutWebhook,
+};
@@ -0,0 +1,23 @@
+import prisma from "../config/db.js";
+
+// restrict a route to admin users (must run after authMiddleware)
+const adminMiddleware = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { role: true },
+    });
+
+    if (user?.role !== "ADMIN") {
+      return res.status(403).json({ message: "Admin access required." });
+    }
+
+    req.user.role = user.role;
+    next();
+  } catch (error) {
+    console.error("Admin Middleware Error:", error.message);
+    res.status(500).json({ message: "Internal: Unable to check permissions" });
+  }
+};
+
+export default adminMiddleware;
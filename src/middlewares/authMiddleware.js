@@ -1,9 +1,7 @@
-import jwt from "jsonwebtoken";
-
-const JWT_SECRET = process.env.JWT_SECRET || "test_secret_key";
+import { verifyAccessToken } from "../services/tokenService.js";
 
 // authentication middleware
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   try {
     // get token from auth headers
     const authHeader = req.headers.authorization;
@@ -16,14 +14,19 @@ const authMiddleware = (req, res, next) => {
 
     const token = authHeader.slice(7); // remove "Bearer " prefix
 
-    // verify token
-    const decode = jwt.verify(token, JWT_SECRET);
+    // verify token signature and that its session was not revoked
+    const decode = await verifyAccessToken(token);
 
     // attach user info to request object
     req.user = decode;
     next();
   } catch (error) {
     console.error("Auth Middleware Error:", error.message);
+    if (error.message === "Session has been revoked") {
+      return res
+        .status(401)
+        .json({ message: "Unauthorized: Session has been revoked" });
+    }
     res.status(401).json({ message: "Unauthorized: Invalid or expired token" });
   }
 };
@@ -0,0 +1,50 @@
+import {
+  verifyTransactionPin,
+  getCoolingOffUntil,
+} from "../services/pinService.js";
+
+// require a valid transaction PIN (req.body.pin) for money leaving a wallet
+// (must run after authMiddleware)
+const transactionPinMiddleware = async (req, res, next) => {
+  try {
+    const { pin } = req.body || {};
+
+    if (!pin) {
+      return res.status(400).json({ message: "Transaction PIN is required." });
+    }
+
+    // counts failures and locks the PIN after too many
+    const transactionPin = await verifyTransactionPin(req.user.id, pin);
+
+    // outgoing payments are paused for a while after a PIN reset
+    const coolingOffUntil = getCoolingOffUntil(transactionPin);
+    if (coolingOffUntil) {
+      return res.status(403).json({
+        message: "Outgoing payments are paused after a recent PIN reset.",
+        availableAt: coolingOffUntil,
+      });
+    }
+
+    next();
+  } catch (error) {
+    if (error.message === "Transaction PIN not set") {
+      return res.status(403).json({ message: "Transaction PIN not set." });
+    }
+    if (error.message === "Invalid transaction PIN") {
+      return res.status(403).json({
+        message: "Invalid transaction PIN.",
+        attemptsRemaining: error.attemptsRemaining,
+      });
+    }
+    if (error.message === "Transaction PIN locked") {
+      return res.status(423).json({
+        message: "Transaction PIN is locked after too many failed attempts.",
+        lockedUntil: error.lockedUntil,
+      });
+    }
+    console.error("Transaction PIN Middleware Error:", error.message);
+    res.status(500).json({ message: "Internal: Unable to verify PIN" });
+  }
+};
+
+export default transactionPinMiddleware;
@@ -0,0 +1,35 @@
+import prisma from "../config/db.js";
+
+// can be switched off for load tests (EMAIL_VERIFICATION_REQUIRED=false);
+// accounts still stay unverified, so they remain distinguishable
+const VERIFICATION_REQUIRED =
+  String(process.env.EMAIL_VERIFICATION_REQUIRED || "true").toLowerCase() !==
+  "false";
+
+// block money-moving routes until the user has verified their email
+// (must run after authMiddleware)
+const verifiedEmailMiddleware = async (req, res, next) => {
+  if (!VERIFICATION_REQUIRED) return next();
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { emailVerifiedAt: true },
+    });
+
+    if (!user?.emailVerifiedAt) {
+      return res.status(403).json({
+        message: "Please verify your email address before continuing.",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Verified Email Middleware Error:", error.message);
+    res
+      .status(500)
+      .json({ message: "Internal: Unable to check email verification" });
+  }
+};
+
+export default verifiedEmailMiddleware;
@@ -0,0 +1,74 @@
+import express from "express";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import adminMiddleware from "../middlewares/adminMiddleware.js";
+import {
+  getWalletAudit,
+  rebuildWallet,
+  getExchangeRates,
+  putExchangeRate,
+  getUserLimits,
+  putUserLimits,
+  getRiskDecisions,
+  approveHeldDonation,
+  rejectHeldDonation,
+  getJobs,
+  viewJob,
+  retryDeadJob,
+  getEmailTemplates,
+  previewEmailTemplate,
+} from "../controllers/adminController.js";
+import {
+  createIntegrationWebhook,
+  getIntegrationWebhooks,
+  deleteIntegrationWebhook,
+  getIntegrationWebhookDeliveries,
+  replayIntegrationWebhook,
+} from "../controllers/webhookController.js";
+
+const router = express.Router();
+
+// All admin routes need an authenticated admin
+router.use(authMiddleware, adminMiddleware);
+
+// audit wallet balance against the ledger (api/admin/wallets/:userId/audit?currency=NGN)
+router.get("/wallets/:userId/audit", getWalletAudit);
+
+// rebuild cached wallet balance from the ledger (api/admin/wallets/:userId/rebuild?currency=NGN)
+router.post("/wallets/:userId/rebuild", rebuildWallet);
+
+// exchange-rate table used for cross-currency donations (api/admin/exchange-rates)
+router.get("/exchange-rates", getExchangeRates);
+router.put("/exchange-rates", putExchangeRate);
+
+// per-user donation limit overrides (api/admin/users/:userId/limits?currency=NGN)
+router.get("/users/:userId/limits", getUserLimits);
+router.put("/users/:userId/limits", putUserLimits);
+
+// donation risk decisions and the review queue (api/admin/risk/decisions?status=HELD)
+router.get("/risk/decisions", getRiskDecisions);
+router.post("/risk/decisions/:decisionId/approve", approveHeldDonation);
+router.post("/risk/decisions/:decisionId/reject", rejectHeldDonation);
+
+// background jobs and the dead-letter queue (api/admin/jobs?status=DEAD&type=email.send)
+router.get("/jobs", getJobs);
+router.get("/jobs/:jobId", viewJob);
+router.post("/jobs/:jobId/retry", retryDeadJob);
+
+// email templates rendered with sample data (api/admin/email-templates/welcome/preview?locale=fr&format=html)
+router.get("/email-templates", getEmailTemplates);
+router.get("/email-templates/:template/preview", previewEmailTemplate);
+
+// integration webhooks: every user's events (api/admin/webhooks)
+router.post("/webhooks", createIntegrationWebhook);
+router.get("/webhooks", getIntegrationWebhooks);
+router.delete("/webhooks/:subscriptionId", deleteIntegrationWebhook);
+router.get(
+  "/webhooks/:subscriptionId/deliveries",
+  getIntegrationWebhookDeliveries
+);
+router.post(
+  "/webhooks/deliveries/:deliveryId/replay",
+  replayIntegrationWebhook
+);
+
+export default router;
@@ -1,5 +1,18 @@
 import express from "express";
-import { register, login } from "../controllers/authController.js";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  getPreferences,
+  updatePreferences,
+  unsubscribeFromEmails,
+} from "../controllers/authController.js";
 
 const router = express.Router();
 
@@ -9,4 +22,31 @@ router.post("/register", register);
 // login route (api/auth/login)
 router.post("/login", login);
 
+// refresh token rotation route (api/auth/refresh)
+router.post("/refresh", refresh);
+
+// logout route (api/auth/logout)
+router.post("/logout", authMiddleware, logout);
+
+// email verification route (api/auth/verify-email?token=... from the emailed link)
+router.get("/verify-email", verifyEmail);
+router.post("/verify-email", verifyEmail);
+
+// resend verification email route (api/auth/resend-verification)
+router.post("/resend-verification", authMiddleware, resendVerification);
+
+// forgot password route (api/auth/forgot-password)
+router.post("/forgot-password", forgotPassword);
+
+// reset password route (api/auth/reset-password)
+router.post("/reset-password", resetPassword);
+
+// email language and optional emails (api/auth/email-preferences)
+router.get("/email-preferences", authMiddleware, getPreferences);
+router.put("/email-preferences", authMiddleware, updatePreferences);
+
+// unsubscribe link from optional emails (api/auth/unsubscribe?token=...)
+router.get("/unsubscribe", unsubscribeFromEmails);
+router.post("/unsubscribe", unsubscribeFromEmails);
+
 export default router;
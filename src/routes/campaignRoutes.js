@@ -0,0 +1,28 @@
+import express from "express";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import verifiedEmailMiddleware from "../middlewares/verifiedEmailMiddleware.js";
+import {
+  createCampaignEndpoint,
+  getCampaigns,
+  viewCampaign,
+  closeCampaignEndpoint,
+} from "../controllers/campaignController.js";
+
+const router = express.Router();
+
+// All campaign routes are protected
+router.use(authMiddleware);
+
+// create a campaign (POST /api/campaigns)
+router.post("/", verifiedEmailMiddleware, createCampaignEndpoint);
+
+// list campaigns (GET /api/campaigns?status=OPEN&mine=true&page=1&limit=10)
+router.get("/", getCampaigns);
+
+// campaign details with progress (GET /api/campaigns/:campaignId)
+router.get("/:campaignId", viewCampaign);
+
+// close a campaign early (POST /api/campaigns/:campaignId/close)
+router.post("/:campaignId/close", closeCampaignEndpoint);
+
+export default router;
@@ -1,26 +1,78 @@
 import express from "express";
 import authMiddleware from "../middlewares/authMiddleware.js";
+import verifiedEmailMiddleware from "../middlewares/verifiedEmailMiddleware.js";
+import transactionPinMiddleware from "../middlewares/transactionPinMiddleware.js";
 import {
   createDonationEndpoint,
   getDonationsByPeriod,
   viewSingleDonation,
+  downloadDonationReceipt,
+  verifyReceiptEndpoint,
+  exportDonations,
+  downloadDonationExport,
+  getDonationStatsEndpoint,
   getDonationCountEndpoint,
+  reverseDonationEndpoint,
+  createRecurringDonationEndpoint,
+  getRecurringDonations,
+  viewRecurringDonation,
+  pauseRecurringDonation,
+  resumeRecurringDonation,
+  cancelRecurringDonation,
 } from "../controllers/donationController.js";
 
 const router = express.Router();
 
-// protect all donation routes
+// public receipt check, for whoever a receipt is shown to (GET /api/donations/receipts/verify?number=FMR-2026-00000042&hash=...)
+router.get("/receipts/verify", verifyReceiptEndpoint);
+
+// download a background export; the emailed link is the credential (GET /api/donations/exports/:token)
+router.get("/exports/:token", downloadDonationExport);
+
+// protect all other donation routes
 router.use(authMiddleware);
 
 // create donation (POST /api/donations/donate)
-router.post("/donate", createDonationEndpoint);
+router.post(
+  "/donate",
+  verifiedEmailMiddleware,
+  transactionPinMiddleware,
+  createDonationEndpoint
+);
 
-// get donations by date range (GET /api/donations/by-period?startDate=2026-01-01&endDate=2026-01-31&page=1&limit=10)
+// get donations by date range (GET /api/donations/by-period?startDate=2026-01-01&endDate=2026-01-31&page=1&limit=10&direction=sent|received|all)
 router.get("/by-period", getDonationsByPeriod);
 
-// get donation count (GET /api/donations/count)
+// export donations as a file (GET /api/donations/export?format=csv|ndjson&startDate=2026-01-01&endDate=2026-01-31&direction=sent|received|all&columns=date,amount,currency)
+router.get("/export", exportDonations);
+
+// donation analytics (GET /api/donations/stats?startDate=2026-01-01&endDate=2026-03-31&groupBy=day|week|month&timeZone=Africa/Lagos)
+router.get("/stats", getDonationStatsEndpoint);
+
+// get donation count (GET /api/donations/count?direction=sent|received|all)
 router.get("/count", getDonationCountEndpoint);
 
+// standing donation instructions (POST/GET /api/donations/recurring)
+router.post(
+  "/recurring",
+  verifiedEmailMiddleware,
+  transactionPinMiddleware,
+  createRecurringDonationEndpoint
+);
+router.get("/recurring", getRecurringDonations);
+router.get("/recurring/:recurringDonationId", viewRecurringDonation);
+
+// pause, resume or cancel an instruction (POST /api/donations/recurring/:id/pause)
+router.post("/recurring/:recurringDonationId/pause", pauseRecurringDonation);
+router.post("/recurring/:recurringDonationId/resume", resumeRecurringDonation);
+router.post("/recurring/:recurringDonationId/cancel", cancelRecurringDonation);
+
+// reverse a donation in full or in part (POST /api/donations/:donationId/reverse)
+router.post("/:donationId/reverse", reverseDonationEndpoint);
+
+// donation receipt (GET /api/donations/:donationId/receipt?format=html|pdf|json)
+router.get("/:donationId/receipt", downloadDonationReceipt);
+
 // view single donation (GET /api/donations/:donationId)
 router.get("/:donationId", viewSingleDonation);
 
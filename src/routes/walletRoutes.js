@@ -1,11 +1,28 @@
 import express from "express";
 import authMiddleware from "../middlewares/authMiddleware.js";
+import verifiedEmailMiddleware from "../middlewares/verifiedEmailMiddleware.js";
+import transactionPinMiddleware from "../middlewares/transactionPinMiddleware.js";
 import {
   createTransactionPin,
   updateTransactionPin,
+  requestTransactionPinReset,
+  confirmTransactionPinReset,
   getWallet,
+  getWallets,
+  createWallet,
+  getLimits,
   topUpWallet,
+  listWalletTransactions,
+  viewSingleTransaction,
+  getStatement,
 } from "../controllers/walletController.js";
+import {
+  addBeneficiary,
+  getBeneficiaries,
+  deleteBeneficiary,
+  withdraw,
+  getWithdrawals,
+} from "../controllers/withdrawalController.js";
 
 const router = express.Router();
 
@@ -18,10 +35,48 @@ router.post("/create-pin", createTransactionPin);
 // update transaction pin (api/wallet/update-pin)
 router.put("/update-pin", updateTransactionPin);
 
-// get wallet details (api/wallet/)
+// forgot PIN: email a reset code (api/wallet/pin/reset)
+router.post("/pin/reset", requestTransactionPinReset);
+
+// forgot PIN: set a new PIN with the code (api/wallet/pin/reset/confirm)
+router.post("/pin/reset/confirm", confirmTransactionPinReset);
+
+// get wallet details (api/wallet?currency=NGN)
 router.get("/", getWallet);
 
+// list wallets / open a wallet in another currency (api/wallet/wallets)
+router.get("/wallets", getWallets);
+router.post("/wallets", createWallet);
+
+// donation limits and remaining allowance (api/wallet/limits?currency=NGN)
+router.get("/limits", getLimits);
+
 // top-up wallet (api/wallet/top-up)
-router.post("/top-up", topUpWallet);
+router.post("/top-up", verifiedEmailMiddleware, topUpWallet);
+
+// wallet statement with running balance (api/wallet/statement?from=2026-01-01&to=2026-01-31&currency=NGN)
+router.get("/statement", getStatement);
+
+// list wallet transactions (api/wallet/transactions?type=TOPUP&currency=NGN&startDate=&endDate=&page=1&limit=10)
+router.get("/transactions", listWalletTransactions);
+
+// view single wallet transaction (api/wallet/transactions/:transactionId)
+router.get("/transactions/:transactionId", viewSingleTransaction);
+
+// saved bank accounts (api/wallet/beneficiaries)
+router.get("/beneficiaries", getBeneficiaries);
+router.post("/beneficiaries", addBeneficiary);
+router.delete("/beneficiaries/:bankAccountId", deleteBeneficiary);
+
+// withdraw to a bank account (api/wallet/withdraw)
+router.post(
+  "/withdraw",
+  verifiedEmailMiddleware,
+  transactionPinMiddleware,
+  withdraw
+);
+
+// list withdrawals (api/wallet/withdrawals?page=1&limit=10)
+router.get("/withdrawals", getWithdrawals);
 
 export default router;
@@ -0,0 +1,38 @@
+import express from "express";
+import authMiddleware from "../middlewares/authMiddleware.js";
+import { payoutWebhook } from "../controllers/withdrawalController.js";
+import {
+  createWebhook,
+  getWebhooks,
+  deleteWebhook,
+  getWebhookDeliveries,
+  replayWebhook,
+} from "../controllers/webhookController.js";
+
+const router = express.Router();
+
+// Webhooks are called by third parties: no JWT, each provider signs its payload
+
+// payout provider callbacks (api/webhooks/payouts/:provider)
+router.post("/payouts/:provider", payoutWebhook);
+
+// Outbound webhooks: the signed-in user's subscriptions to their own events
+
+// create / list subscriptions (api/webhooks/subscriptions)
+router.post("/subscriptions", authMiddleware, createWebhook);
+router.get("/subscriptions", authMiddleware, getWebhooks);
+
+// delete a subscription (api/webhooks/subscriptions/:subscriptionId)
+router.delete("/subscriptions/:subscriptionId", authMiddleware, deleteWebhook);
+
+// delivery log (api/webhooks/subscriptions/:subscriptionId/deliveries?status=FAILED&page=1&limit=10)
+router.get(
+  "/subscriptions/:subscriptionId/deliveries",
+  authMiddleware,
+  getWebhookDeliveries
+);
+
+// send a failed delivery again (api/webhooks/deliveries/:deliveryId/replay)
+router.post("/deliveries/:deliveryId/replay", authMiddleware, replayWebhook);
+
+export default router;
@@ -0,0 +1,234 @@
+import prisma from "../config/db.js";
+import { Decimal } from "@prisma/client/runtime/library.js";
+import { normalizeCurrency, parseAmount } from "../config/currencies.js";
+import { openWallet } from "./walletService.js";
+import { ANONYMOUS_DONOR } from "../utils/donorPrivacy.js";
+import { findPage } from "../utils/pagination.js";
+
+const TOP_DONORS_LIMIT = 5;
+
+// where-clause for campaigns still accepting donations
+const openCampaignFilter = (now = new Date()) => ({
+  status: "OPEN",
+  OR: [{ deadline: null }, { deadline: { gt: now } }],
+});
+
+const isCampaignOpen = (campaign, now = new Date()) =>
+  campaign.status === "OPEN" && (!campaign.deadline || campaign.deadline > now);
+
+// close campaigns whose deadline has passed (cheap, run before reads)
+const closeExpiredCampaigns = async () => {
+  const now = new Date();
+  await prisma.campaign.updateMany({
+    where: { status: "OPEN", deadline: { lte: now } },
+    data: { status: "CLOSED", closedReason: "DEADLINE", closedAt: now },
+  });
+};
+
+// Count a donation toward a campaign. Runs inside the donation's
+// prisma.$transaction; `amount` is in the campaign currency.
+const recordCampaignDonation = async (tx, campaignId, amount) => {
+  const now = new Date();
+
+  const updated = await tx.campaign.updateMany({
+    where: { id: campaignId, ...openCampaignFilter(now) },
+    data: { raisedAmount: { increment: amount } },
+  });
+
+  if (updated.count === 0) {
+    throw new Error("Campaign is closed");
+  }
+
+  const campaign = await tx.campaign.findUnique({
+    where: { id: campaignId },
+    select: { raisedAmount: true, targetAmount: true, closeOnGoal: true },
+  });
+
+  if (
+    campaign.closeOnGoal &&
+    new Decimal(campaign.raisedAmount).gte(campaign.targetAmount)
+  ) {
+    await tx.campaign.update({
+      where: { id: campaignId },
+      data: { status: "CLOSED", closedReason: "GOAL_REACHED", closedAt: now },
+    });
+  }
+};
+
+const createCampaign = async (
+  ownerId,
+  { title, description, targetAmount, currency, deadline, closeOnGoal }
+) => {
+  try {
+    const campaignCurrency = normalizeCurrency(currency);
+    const target = parseAmount(targetAmount, campaignCurrency);
+
+    if (target.isNaN() || target.lte(0)) {
+      throw new Error("Target amount must be greater than zero");
+    }
+
+    const deadlineDate = deadline ? new Date(deadline) : null;
+
+    if (deadlineDate && isNaN(deadlineDate)) {
+      throw new Error("Invalid date format");
+    }
+
+    if (deadlineDate && deadlineDate <= new Date()) {
+      throw new Error("Deadline must be in the future");
+    }
+
+    // donations are collected into the owner's wallet in this currency
+    await openWallet(ownerId, campaignCurrency);
+
+    return await prisma.campaign.create({
+      data: {
+        ownerId,
+        title,
+        description,
+        targetAmount: target,
+        currency: campaignCurrency,
+        deadline: deadlineDate,
+        closeOnGoal: Boolean(closeOnGoal),
+      },
+    });
+  } catch (error) {
+    console.error("Create Campaign Error:", error.message);
+    throw error;
+  }
+};
+
+const listCampaigns = async ({ status, ownerId }, pagination) => {
+  try {
+    await closeExpiredCampaigns();
+
+    const where = {};
+
+    if (status) {
+      if (!["OPEN", "CLOSED"].includes(status)) {
+        throw new Error("Invalid status");
+      }
+      where.status = status;
+    }
+
+    if (ownerId) {
+      where.ownerId = ownerId;
+    }
+
+    return await findPage(
+      prisma.campaign,
+      { where, include: { owner: { select: { id: true, name: true } } } },
+      pagination
+    );
+  } catch (error) {
+    console.error("List Campaigns Error:", error.message);
+    throw error;
+  }
+};
+
+// raised amount, donor count, percentage of goal and top donors
+const getCampaignProgress = async (campaign) => {
+  // net amount per donor in the campaign currency (reversals taken off);
+  // a donor's anonymous gifts are ranked separately and never named
+  const byDonor = await prisma.donation.groupBy({
+    by: ["senderId", "anonymous"],
+    where: { campaignId: campaign.id },
+    _sum: { receivedAmount: true, receivedReversedAmount: true },
+  });
+
+  const entries = byDonor
+    .map((row) => ({
+      userId: row.senderId,
+      anonymous: row.anonymous,
+      amount: new Decimal(row._sum.receivedAmount || 0).minus(
+        row._sum.receivedReversedAmount || 0
+      ),
+    }))
+    .filter((entry) => entry.amount.gt(0))
+    .sort((a, b) => b.amount.comparedTo(a.amount));
+
+  const top = entries.slice(0, TOP_DONORS_LIMIT);
+  const users = await prisma.user.findMany({
+    where: { id: { in: top.filter((d) => !d.anonymous).map((d) => d.userId) } },
+    select: { id: true, name: true },
+  });
+  const names = new Map(users.map((u) => [u.id, u.name]));
+
+  const raised = new Decimal(campaign.raisedAmount);
+
+  return {
+    raised,
+    target: campaign.targetAmount,
+    currency: campaign.currency,
+    percentage: raised
+      .times(100)
+      .dividedBy(campaign.targetAmount)
+      .toDecimalPlaces(2),
+    donorCount: new Set(entries.map((d) => d.userId)).size,
+    topDonors: top.map((d) =>
+      d.anonymous
+        ? { ...ANONYMOUS_DONOR, amount: d.amount }
+        : { id: d.userId, name: names.get(d.userId), amount: d.amount }
+    ),
+  };
+};
+
+const getCampaign = async (campaignId) => {
+  try {
+    await closeExpiredCampaigns();
+
+    const campaign = await prisma.campaign.findUnique({
+      where: { id: campaignId },
+      include: { owner: { select: { id: true, name: true } } },
+    });
+
+    if (!campaign) {
+      throw new Error("Campaign not found");
+    }
+
+    return { ...campaign, progress: await getCampaignProgress(campaign) };
+  } catch (error) {
+    console.error("Get Campaign Error:", error.message);
+    throw error;
+  }
+};
+
+// owner closes a campaign early
+const closeCampaign = async (campaignId, userId) => {
+  try {
+    const campaign = await prisma.campaign.findUnique({
+      where: { id: campaignId },
+      select: { id: true, ownerId: true },
+    });
+
+    if (!campaign) {
+      throw new Error("Campaign not found");
+    }
+
+    if (campaign.ownerId !== userId) {
+      throw new Error("Access denied to this campaign");
+    }
+
+    const closed = await prisma.campaign.updateMany({
+      where: { id: campaignId, status: "OPEN" },
+      data: { status: "CLOSED", closedReason: "OWNER", closedAt: new Date() },
+    });
+
+    if (closed.count === 0) {
+      throw new Error("Campaign is closed");
+    }
+
+    return await prisma.campaign.findUnique({ where: { id: campaignId } });
+  } catch (error) {
+    console.error("Close Campaign Error:", error.message);
+    throw error;
+  }
+};
+
+export {
+  isCampaignOpen,
+  recordCampaignDonation,
+  createCampaign,
+  listCampaigns,
+  getCampaign,
+  closeCampaign,
+};
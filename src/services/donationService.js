@@ -1,31 +1,309 @@
 import prisma from "../config/db.js";
-import { sendThankYouEmail } from "../utils/email.js";
 import { Decimal } from "@prisma/client/runtime/library.js";
+import {
+  SYSTEM_ACCOUNTS,
+  systemAccount,
+  transferLines,
+  postEntry,
+} from "./ledgerService.js";
+import { findIdempotentTransaction } from "./idempotencyService.js";
+import { generateReference } from "../utils/reference.js";
+import {
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  parseAmount,
+  roundAmount,
+} from "../config/currencies.js";
+import {
+  CROSS_CURRENCY_DONATIONS,
+  getExchangeRate,
+} from "./exchangeRateService.js";
+import { isCampaignOpen, recordCampaignDonation } from "./campaignService.js";
+import { maskDonationFor } from "../utils/donorPrivacy.js";
+import { sanitizeText } from "../utils/sanitize.js";
+import {
+  consumeDonationAllowance,
+  releaseDonationAllowance,
+} from "./limitService.js";
+import { evaluateDonationRisk } from "./risk/index.js";
+import {
+  donationEventData,
+  queueWebhookEvents,
+  triggerWebhookDispatch,
+} from "./webhookService.js";
+import { enqueueJob } from "./jobService.js";
+import { findPage } from "../utils/pagination.js";
 
-const createDonation = async (userId, receiverId, amount, idempotencyKey) => {
+// optional platform fee charged to the sender on top of the donation
+const DONATION_FEE_PERCENT = Number(process.env.DONATION_FEE_PERCENT || 0);
+
+const DONATION_MESSAGE_MAX_LENGTH = Number(
+  process.env.DONATION_MESSAGE_MAX_LENGTH || 280
+);
+
+// optional donor note: sanitized, null when empty, rejected when too long
+const cleanDonationMessage = (message) => {
+  if (message === undefined || message === null) return null;
+
+  const cleaned = sanitizeText(message);
+  if (cleaned.length > DONATION_MESSAGE_MAX_LENGTH) {
+    throw new Error("Donation message is too long");
+  }
+  return cleaned || null;
+};
+
+const calculateFee = (amount, currency) =>
+  roundAmount(amount.times(DONATION_FEE_PERCENT).dividedBy(100), currency);
+
+// receiver wallet to credit. Campaigns always collect in their own currency;
+// otherwise the same currency if they have one, else (when conversion is
+// enabled) their default-currency wallet or oldest wallet
+const pickReceiverWallet = (wallets, currency, campaign) => {
+  if (campaign) {
+    const wallet = wallets.find((w) => w.currency === campaign.currency);
+    if (!wallet) {
+      throw new Error("Receiver wallet not found");
+    }
+    if (
+      wallet.currency !== currency &&
+      CROSS_CURRENCY_DONATIONS !== "convert"
+    ) {
+      throw new Error("Donation currency does not match campaign currency");
+    }
+    return wallet;
+  }
+
+  const same = wallets.find((w) => w.currency === currency);
+  if (same) return same;
+
+  if (wallets.length === 0) {
+    throw new Error("Receiver wallet not found");
+  }
+
+  if (CROSS_CURRENCY_DONATIONS !== "convert") {
+    throw new Error("Receiver has no wallet in this currency");
+  }
+
+  return wallets.find((w) => w.currency === DEFAULT_CURRENCY) || wallets[0];
+};
+
+// what the risk decision records about the attempt
+const riskDecisionData = (details, risk) => ({
+  userId: details.senderId,
+  receiverId: details.receiverId,
+  amount: details.amount,
+  currency: details.currency,
+  score: risk.score,
+  outcome: risk.outcome,
+  reasons: risk.reasons,
+});
+
+const debitTransactionData = (details) => ({
+  userId: details.senderId,
+  amount: details.amount,
+  currency: details.currency,
+  exchangeRate: details.exchangeRate,
+  type: "DONATION_DEBIT",
+  reference: generateReference("DON"),
+});
+
+// Create the donation and the receiver's credit, move the funds and complete
+// the sender's debit. Runs inside a prisma.$transaction. `from` is the
+// sender's wallet, or { account, currency } of the held-donations account when
+// a review approves a held donation (its debit already exists: `debitId`).
+const completeDonation = async (
+  tx,
+  details,
+  { from, to, idempotencyKey, debitId }
+) => {
+  // Create donation
+  const donation = await tx.donation.create({
+    data: {
+      amount: details.amount,
+      currency: details.currency,
+      receivedAmount: details.receivedAmount,
+      receivedCurrency: details.receivedCurrency,
+      exchangeRate: details.exchangeRate,
+      senderId: details.senderId,
+      receiverId: details.receiverId,
+      campaignId: details.campaignId,
+      message: details.message,
+      anonymous: details.anonymous,
+    },
+  });
+
+  if (details.campaignId) {
+    await recordCampaignDonation(
+      tx,
+      details.campaignId,
+      details.receivedAmount
+    );
+  }
+
+  // Create transaction records (sender and receiver side)
+  const completed = { status: "COMPLETED", donationId: donation.id };
+  const transactionRecord = debitId
+    ? await tx.transaction.update({ where: { id: debitId }, data: completed })
+    : await tx.transaction.create({
+        data: {
+          ...debitTransactionData(details),
+          ...completed,
+          idempotencyKey,
+        },
+      });
+
+  await tx.transaction.create({
+    data: {
+      userId: details.receiverId,
+      amount: details.receivedAmount,
+      currency: details.receivedCurrency,
+      exchangeRate: details.exchangeRate,
+      type: "DONATION_CREDIT",
+      status: "COMPLETED",
+      reference: generateReference("DON"),
+      donationId: donation.id,
+    },
+  });
+
+  // Move funds: debit sender wallet, credit receiver wallet
+  await postEntry(tx, {
+    type: "DONATION",
+    reference: `DONATION:${transactionRecord.id}`,
+    description: `Donation #${donation.id}`,
+    transactionId: transactionRecord.id,
+    lines: transferLines(from, to, details.amount, details.receivedAmount),
+  });
+
+  // Platform fee: debit sender wallet, credit fees account
+  if (details.fee.gt(0)) {
+    await postEntry(tx, {
+      type: "FEE",
+      reference: `FEE:${transactionRecord.id}`,
+      description: `Fee for donation #${donation.id}`,
+      transactionId: transactionRecord.id,
+      lines: transferLines(
+        from,
+        {
+          account: systemAccount(SYSTEM_ACCOUNTS.FEES),
+          currency: details.currency,
+        },
+        details.fee,
+        details.fee
+      ),
+    });
+  }
+
+  await queueWebhookEvents(tx, [
+    {
+      event: "donation.completed",
+      userId: details.senderId,
+      data: donationEventData(donation, details.senderId),
+    },
+    {
+      event: "donation.received",
+      userId: details.receiverId,
+      data: donationEventData(donation, details.receiverId),
+    },
+  ]);
+
+  // donor milestone emails and the receiver's "you received a donation" email
+  await enqueueJob(tx, "donation.milestones", { senderId: details.senderId });
+  await enqueueJob(tx, "donation.received", { donationId: donation.id });
+
+  return transactionRecord;
+};
+
+// Reserve a held donation's amount and fee: the sender's debit stays PENDING
+// until a review approves or rejects it
+const holdDonation = async (tx, details, senderWallet, idempotencyKey) => {
+  const transactionRecord = await tx.transaction.create({
+    data: {
+      ...debitTransactionData(details),
+      status: "PENDING",
+      description: "Held for review",
+      idempotencyKey,
+    },
+  });
+
+  const total = details.amount.plus(details.fee);
+
+  await postEntry(tx, {
+    type: "DONATION_HOLD",
+    reference: `DONATION_HOLD:${transactionRecord.id}`,
+    description: `Hold for donation transaction #${transactionRecord.id}`,
+    transactionId: transactionRecord.id,
+    lines: transferLines(
+      senderWallet,
+      {
+        account: systemAccount(SYSTEM_ACCOUNTS.DONATIONS_HELD),
+        currency: details.currency,
+      },
+      total,
+      total
+    ),
+  });
+
+  return transactionRecord;
+};
+
+// options.campaignId: donate to a campaign (the receiver is its owner)
+// options.message / options.anonymous: donor note and hiding the sender
+const createDonation = async (
+  userId,
+  receiverId,
+  amount,
+  idempotencyKey,
+  currency,
+  { campaignId, message, anonymous = false } = {}
+) => {
   try {
-    const decimalAmount = new Decimal(amount);
+    const donationCurrency = normalizeCurrency(currency);
 
     // Check idempotency first (fastest check)
-    const existingIdempotencyKey = await prisma.idempotencyKey.findUnique({
-      where: { key: idempotencyKey },
-      select: { transactionId: true },
-    });
+    const existingTransaction = await findIdempotentTransaction(
+      idempotencyKey,
+      userId,
+      "DONATION_DEBIT"
+    );
 
-    if (existingIdempotencyKey) {
+    if (existingTransaction) {
       // Return existing transaction
-      const existingTransaction = await prisma.transaction.findUnique({
-        where: { id: existingIdempotencyKey.transactionId },
-        include: { donation: true },
-      });
       return existingTransaction;
     }
 
     // Validate amount early
-    if (decimalAmount.lte(0)) {
+    const decimalAmount = parseAmount(amount, donationCurrency);
+
+    if (decimalAmount.isNaN() || decimalAmount.lte(0)) {
       throw new Error("Donation amount must be greater than zero");
     }
 
+    const donationMessage = cleanDonationMessage(message);
+
+    let campaign = null;
+    if (campaignId) {
+      campaign = await prisma.campaign.findUnique({
+        where: { id: campaignId },
+        select: {
+          id: true,
+          ownerId: true,
+          currency: true,
+          status: true,
+          deadline: true,
+        },
+      });
+
+      if (!campaign) {
+        throw new Error("Campaign not found");
+      }
+
+      if (!isCampaignOpen(campaign)) {
+        throw new Error("Campaign is closed");
+      }
+
+      receiverId = campaign.ownerId;
+    }
+
     // Prevent self-donation
     if (userId === receiverId) {
       throw new Error("Cannot donate to yourself");
@@ -35,15 +313,23 @@ const createDonation = async (userId, receiverId, amount, idempotencyKey) => {
     const [sender, receiver, senderWallet] = await Promise.all([
       prisma.user.findUnique({
         where: { id: userId },
-        select: { id: true, email: true, name: true },
+        select: { id: true, email: true, name: true, createdAt: true },
       }),
       prisma.user.findUnique({
         where: { id: receiverId },
-        select: { id: true },
+        select: {
+          id: true,
+          wallets: {
+            select: { id: true, currency: true },
+            orderBy: { id: "asc" },
+          },
+        },
       }),
       prisma.wallet.findUnique({
-        where: { userId: userId },
-        select: { balance: true, userId: true },
+        where: {
+          userId_currency: { userId: userId, currency: donationCurrency },
+        },
+        select: { id: true, balance: true, userId: true, currency: true },
       }),
     ]);
 
@@ -56,47 +342,114 @@ const createDonation = async (userId, receiverId, amount, idempotencyKey) => {
       throw new Error("Sender wallet not found");
     }
 
-    // Check balance
-    if (new Decimal(senderWallet.balance).lt(decimalAmount)) {
+    const receiverWallet = pickReceiverWallet(
+      receiver.wallets,
+      donationCurrency,
+      campaign
+    );
+
+    // convert at the current table rate; the rate is kept on the records
+    const converted = receiverWallet.currency !== donationCurrency;
+    const exchangeRate = converted
+      ? await getExchangeRate(donationCurrency, receiverWallet.currency)
+      : null;
+    const receivedAmount = converted
+      ? roundAmount(decimalAmount.times(exchangeRate), receiverWallet.currency)
+      : decimalAmount;
+
+    if (receivedAmount.lte(0)) {
+      throw new Error("Donation amount is too small to convert");
+    }
+
+    const fee = calculateFee(decimalAmount, donationCurrency);
+
+    // Check balance (fast fail; the ledger post re-checks atomically)
+    if (new Decimal(senderWallet.balance).lt(decimalAmount.plus(fee))) {
       throw new Error("Insufficient funds in wallet");
     }
 
+    const details = {
+      senderId: userId,
+      receiverId,
+      campaignId: campaign?.id ?? null,
+      amount: decimalAmount,
+      currency: donationCurrency,
+      receivedAmount,
+      receivedCurrency: receiverWallet.currency,
+      exchangeRate,
+      fee,
+      message: donationMessage,
+      anonymous: Boolean(anonymous),
+    };
+
+    // Risk screening: blocked attempts are recorded and refused, held ones
+    // reserve the funds until an admin reviews them
+    const risk = await evaluateDonationRisk({
+      sender,
+      receiverId,
+      amount: decimalAmount,
+      currency: donationCurrency,
+    });
+
+    if (risk.outcome === "BLOCK") {
+      await prisma.riskDecision.create({
+        data: { ...riskDecisionData(details, risk), status: "BLOCKED" },
+      });
+      console.warn(
+        `Donation Blocked: user ${userId} -> ${receiverId} (score ${risk.score})`
+      );
+      throw new Error("Donation blocked by risk checks");
+    }
+
     // Perform atomic transaction
     let result;
     try {
       result = await prisma.$transaction(
         async (tx) => {
-          // Deduct from sender
-          await tx.wallet.update({
-            where: { userId: userId },
-            data: { balance: { decrement: decimalAmount } },
-          });
-
-          // Add to receiver
-          await tx.wallet.update({
-            where: { userId: receiverId },
-            data: { balance: { increment: decimalAmount } },
-          });
+          // Reserve the sender's limits allowance (rolls back with the donation)
+          const now = new Date();
+          await consumeDonationAllowance(
+            tx,
+            userId,
+            donationCurrency,
+            decimalAmount,
+            now
+          );
 
-          // Create donation
-          const donation = await tx.donation.create({
-            data: {
-              amount: decimalAmount,
-              senderId: userId,
-              receiverId: receiverId,
-            },
-          });
-
-          // Create transaction record
-          const transactionRecord = await tx.transaction.create({
-            data: {
-              amount: decimalAmount,
-              type: "DONATION",
-              status: "COMPLETED",
-              idempotencyKey: idempotencyKey,
-              donationId: donation.id,
-            },
-          });
+          let transactionRecord;
+          if (risk.outcome === "HOLD") {
+            transactionRecord = await holdDonation(
+              tx,
+              details,
+              senderWallet,
+              idempotencyKey
+            );
+            await tx.riskDecision.create({
+              data: {
+                ...riskDecisionData(details, risk),
+                status: "HELD",
+                transactionId: transactionRecord.id,
+                // the allowance windows a rejection gives back
+                createdAt: now,
+                // Decimals are stored as strings
+                pendingDonation: JSON.parse(JSON.stringify(details)),
+              },
+            });
+          } else {
+            transactionRecord = await completeDonation(tx, details, {
+              from: senderWallet,
+              to: receiverWallet,
+              idempotencyKey,
+            });
+            await tx.riskDecision.create({
+              data: {
+                ...riskDecisionData(details, risk),
+                status: "ALLOWED",
+                donationId: transactionRecord.donationId,
+                transactionId: transactionRecord.id,
+              },
+            });
+          }
 
           // Create idempotency key
           await tx.idempotencyKey.create({
@@ -117,55 +470,229 @@ const createDonation = async (userId, receiverId, amount, idempotencyKey) => {
     } catch (e) {
       // Handle duplicate idempotency key under race
       if (e && e.code === "P2002") {
-        const existing = await prisma.idempotencyKey.findUnique({
-          where: { key: idempotencyKey },
-          select: { transactionId: true },
-        });
-        if (existing?.transactionId) {
-          const existingTx = await prisma.transaction.findUnique({
-            where: { id: existing.transactionId },
-            include: { donation: true },
-          });
+        const existingTx = await findIdempotentTransaction(
+          idempotencyKey,
+          userId,
+          "DONATION_DEBIT"
+        );
+        if (existingTx) {
           return existingTx;
         }
       }
       throw e;
     }
 
-    // Send email async AFTER response (fully non-blocking)
-    setImmediate(async () => {
-      try {
-        const donationCount = await prisma.donation.count({
-          where: { senderId: userId },
+    if (result.status === "COMPLETED") {
+      triggerWebhookDispatch();
+    }
+
+    return result;
+  } catch (error) {
+    console.error("Create Donation Error:", error.message);
+    throw error;
+  }
+};
+
+// Admin review of a held donation: approving completes it from the held
+// funds, rejecting returns the funds (and fee) to the sender's wallet and the
+// amount to their donation limits
+const reviewHeldDonation = async (decisionId, reviewerId, approve, note) => {
+  try {
+    const decision = await prisma.riskDecision.findUnique({
+      where: { id: decisionId },
+    });
+
+    if (!decision) {
+      throw new Error("Risk decision not found");
+    }
+
+    if (decision.status !== "HELD") {
+      throw new Error("Donation is not held for review");
+    }
+
+    const pending = decision.pendingDonation;
+    const details = {
+      ...pending,
+      amount: new Decimal(pending.amount),
+      receivedAmount: new Decimal(pending.receivedAmount),
+      exchangeRate: pending.exchangeRate && new Decimal(pending.exchangeRate),
+      fee: new Decimal(pending.fee),
+    };
+    const held = {
+      account: systemAccount(SYSTEM_ACCOUNTS.DONATIONS_HELD),
+      currency: details.currency,
+    };
+
+    const reviewed = await prisma.$transaction(async (tx) => {
+      // claim the decision so two reviewers cannot both act on it
+      const claimed = await tx.riskDecision.updateMany({
+        where: { id: decisionId, status: "HELD" },
+        data: {
+          status: approve ? "APPROVED" : "REJECTED",
+          reviewedById: reviewerId,
+          reviewedAt: new Date(),
+          reviewNote: note || null,
+        },
+      });
+
+      if (claimed.count === 0) {
+        throw new Error("Donation is not held for review");
+      }
+
+      // a recurring run that was held takes the review's outcome
+      await tx.recurringDonationRun.updateMany({
+        where: { transactionId: decision.transactionId, status: "HELD" },
+        data: approve
+          ? { status: "COMPLETED" }
+          : { status: "FAILED", failureReason: "Donation rejected by review" },
+      });
+
+      if (approve) {
+        const receiverWallet = await tx.wallet.findUnique({
+          where: {
+            userId_currency: {
+              userId: details.receiverId,
+              currency: details.receivedCurrency,
+            },
+          },
+          select: { id: true, currency: true },
         });
 
-        if (donationCount >= 2) {
-          sendThankYouEmail(sender.email, sender.name).catch((err) => {
-            console.error("Background email error:", err.message);
+        if (!receiverWallet) {
+          throw new Error("Receiver wallet not found");
+        }
+
+        // the campaign may have closed while the donation was held; the
+        // donation can then only be rejected
+        if (details.campaignId) {
+          const campaign = await tx.campaign.findUnique({
+            where: { id: details.campaignId },
+            select: { status: true, deadline: true },
           });
+
+          if (!campaign || !isCampaignOpen(campaign)) {
+            throw new Error("Campaign is closed");
+          }
         }
-      } catch (err) {
-        console.error("Background donation count error:", err.message);
+
+        const transactionRecord = await completeDonation(tx, details, {
+          from: held,
+          to: receiverWallet,
+          debitId: decision.transactionId,
+        });
+
+        return tx.riskDecision.update({
+          where: { id: decisionId },
+          data: { donationId: transactionRecord.donationId },
+        });
       }
+
+      const senderWallet = await tx.wallet.findUnique({
+        where: {
+          userId_currency: {
+            userId: details.senderId,
+            currency: details.currency,
+          },
+        },
+        select: { id: true, currency: true },
+      });
+      const total = details.amount.plus(details.fee);
+
+      await postEntry(tx, {
+        type: "DONATION_RELEASE",
+        reference: `DONATION_RELEASE:${decision.transactionId}`,
+        description: `Release of rejected donation transaction #${decision.transactionId}`,
+        transactionId: decision.transactionId,
+        lines: transferLines(held, senderWallet, total, total),
+      });
+
+      await tx.transaction.update({
+        where: { id: decision.transactionId },
+        data: { status: "FAILED" },
+      });
+
+      // the rejected donation no longer counts toward the sender's limits
+      await releaseDonationAllowance(
+        tx,
+        details.senderId,
+        details.currency,
+        details.amount,
+        decision.createdAt
+      );
+
+      return tx.riskDecision.findUnique({ where: { id: decisionId } });
     });
 
-    return result;
+    console.info(
+      `Risk Review: admin ${reviewerId} ${reviewed.status.toLowerCase()} decision #${decisionId}`
+    );
+
+    if (approve) {
+      triggerWebhookDispatch();
+    }
+
+    return reviewed;
   } catch (error) {
-    console.error("Create Donation Error:", error.message);
+    console.error("Review Held Donation Error:", error.message);
     throw error;
   }
 };
 
+const DIRECTIONS = ["sent", "received", "all"];
+
+// where-clause for donations a user sent, received, or both
+const directionFilter = (userId, direction) => {
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error("Invalid direction");
+  }
+
+  if (direction === "sent") return { senderId: userId };
+  if (direction === "received") return { receiverId: userId };
+  return { OR: [{ senderId: userId }, { receiverId: userId }] };
+};
+
+// count of donations sent and/or received, with amounts per currency
+// (sent in the sender's currency, received in what actually arrived)
+const getDonationTotals = async (userId, direction, createdAt) => {
+  const totalsFor = async (where, currencyField, amountField) => {
+    const rows = await prisma.donation.groupBy({
+      by: [currencyField],
+      where: { ...where, ...(createdAt ? { createdAt } : {}) },
+      _count: { _all: true },
+      _sum: { [amountField]: true },
+    });
+
+    const totals = { count: 0, amounts: {} };
+    for (const row of rows) {
+      totals.count += row._count._all;
+      totals.amounts[row[currencyField]] =
+        row._sum[amountField] || new Decimal(0);
+    }
+    return totals;
+  };
+
+  const totals = {};
+  if (direction !== "received") {
+    totals.sent = await totalsFor({ senderId: userId }, "currency", "amount");
+  }
+  if (direction !== "sent") {
+    totals.received = await totalsFor(
+      { receiverId: userId },
+      "receivedCurrency",
+      "receivedAmount"
+    );
+  }
+  return totals;
+};
+
 const getDonationsByDateRange = async (
   userId,
   startDate,
   endDate,
-  page = 1,
-  limit = 10
+  pagination,
+  direction = "sent"
 ) => {
   try {
-    const skip = (page - 1) * limit;
-
     // Parse and validate dates
     const start = new Date(startDate);
     const end = new Date(endDate);
@@ -174,48 +701,40 @@ const getDonationsByDateRange = async (
       throw new Error("Invalid date format");
     }
 
-    // Fetch donations and count in parallel
-    const [donations, totalCount] = await Promise.all([
-      prisma.donation.findMany({
-        where: {
-          senderId: userId,
-          createdAt: {
-            gte: start,
-            lte: end,
-          },
-        },
-        include: {
-          receiver: {
-            select: {
-              id: true,
-              name: true,
-              email: true,
-            },
-          },
-        },
-        orderBy: { createdAt: "desc" },
-        skip,
-        take: limit,
-      }),
-      prisma.donation.count({
-        where: {
-          senderId: userId,
-          createdAt: {
-            gte: start,
-            lte: end,
+    const createdAt = { gte: start, lte: end };
+    const where = { ...directionFilter(userId, direction), createdAt };
+
+    const userSelect = {
+      select: {
+        id: true,
+        name: true,
+        email: true,
+      },
+    };
+
+    // Fetch the page and the period totals in parallel
+    const [page, totals] = await Promise.all([
+      findPage(
+        prisma.donation,
+        {
+          where,
+          include: {
+            receiver: direction !== "received" ? userSelect : false,
+            sender: direction !== "sent" ? userSelect : false,
           },
         },
-      }),
+        pagination
+      ),
+      getDonationTotals(userId, direction, createdAt),
     ]);
 
     return {
-      data: donations,
-      pagination: {
-        page,
-        limit,
-        total: totalCount,
-        pages: Math.ceil(totalCount / limit),
-      },
+      data: page.data.map((donation) => ({
+        ...maskDonationFor(donation, { id: userId }),
+        direction: donation.senderId === userId ? "sent" : "received",
+      })),
+      totals,
+      pagination: page.pagination,
     };
   } catch (error) {
     console.error("Get Donations By Date Range Error:", error.message);
@@ -223,8 +742,14 @@ const getDonationsByDateRange = async (
   }
 };
 
+// visible to the sender, the receiver (sender masked if anonymous) and admins
 const getSingleDonation = async (donationId, userId) => {
   try {
+    const viewer = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, role: true },
+    });
+
     const donation = await prisma.donation.findUnique({
       where: { id: donationId },
       include: {
@@ -242,7 +767,7 @@ const getSingleDonation = async (donationId, userId) => {
             email: true,
           },
         },
-        transaction: true,
+        transactions: true,
       },
     });
 
@@ -251,24 +776,38 @@ const getSingleDonation = async (donationId, userId) => {
     }
 
     // Ensure access control
-    if (donation.senderId !== userId && donation.receiverId !== userId) {
+    if (
+      donation.senderId !== userId &&
+      donation.receiverId !== userId &&
+      viewer?.role !== "ADMIN"
+    ) {
       throw new Error("Access denied to this donation");
     }
 
-    return donation;
+    const visible = maskDonationFor(donation, viewer);
+
+    // `transaction` stays the sender-side record for existing clients
+    return {
+      ...visible,
+      transaction:
+        visible.transactions.find((t) => t.type === "DONATION_DEBIT") || null,
+    };
   } catch (error) {
     console.error("Get Single Donation Error:", error.message);
     throw error;
   }
 };
 
-const getDonationCount = async (userId) => {
+const getDonationCount = async (userId, direction = "sent") => {
   try {
-    const count = await prisma.donation.count({
-      where: { senderId: userId },
-    });
+    const [count, totals] = await Promise.all([
+      prisma.donation.count({
+        where: directionFilter(userId, direction),
+      }),
+      getDonationTotals(userId, direction),
+    ]);
 
-    return count;
+    return { count, totals };
   } catch (error) {
     console.error("Get Donation Count Error:", error.message);
     throw error;
@@ -276,7 +815,9 @@ const getDonationCount = async (userId) => {
 };
 
 export {
+  directionFilter,
   createDonation,
+  reviewHeldDonation,
   getDonationsByDateRange,
   getSingleDonation,
   getDonationCount,
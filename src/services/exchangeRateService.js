@@ -0,0 +1,84 @@
+import prisma from "../config/db.js";
+import { Decimal } from "@prisma/client/runtime/library.js";
+import { normalizeCurrency } from "../config/currencies.js";
+
+// how cross-currency donations are handled: "reject" or "convert"
+const CROSS_CURRENCY_DONATIONS =
+  process.env.CROSS_CURRENCY_DONATIONS || "reject";
+
+// rate to turn 1 unit of `from` into `to`; an inverse pair is used if only that one is set
+const getExchangeRate = async (from, to, client = prisma) => {
+  if (from === to) {
+    return new Decimal(1);
+  }
+
+  const rates = await client.exchangeRate.findMany({
+    where: {
+      OR: [
+        { base: from, quote: to },
+        { base: to, quote: from },
+      ],
+    },
+  });
+
+  const direct = rates.find((r) => r.base === from);
+  if (direct) {
+    return new Decimal(direct.rate);
+  }
+
+  const inverse = rates.find((r) => r.base === to);
+  if (inverse) {
+    return new Decimal(1).dividedBy(inverse.rate);
+  }
+
+  throw new Error("Exchange rate not available");
+};
+
+const listExchangeRates = async () => {
+  try {
+    return await prisma.exchangeRate.findMany({
+      orderBy: [{ base: "asc" }, { quote: "asc" }],
+    });
+  } catch (error) {
+    console.error("List Exchange Rates Error:", error.message);
+    throw error;
+  }
+};
+
+const setExchangeRate = async (base, quote, rate) => {
+  try {
+    const from = normalizeCurrency(base);
+    const to = normalizeCurrency(quote);
+
+    if (from === to) {
+      throw new Error("Base and quote currency must differ");
+    }
+
+    let decimalRate;
+    try {
+      decimalRate = new Decimal(rate);
+    } catch {
+      decimalRate = new Decimal(NaN);
+    }
+
+    if (decimalRate.isNaN() || decimalRate.lte(0)) {
+      throw new Error("Exchange rate must be greater than zero");
+    }
+
+    return await prisma.exchangeRate.upsert({
+      where: { base_quote: { base: from, quote: to } },
+      update: { rate: decimalRate },
+      create: { base: from, quote: to, rate: decimalRate },
+    });
+  } catch (error) {
+    console.error("Set Exchange Rate Error:", error.message);
+    throw error;
+  }
+};
+
+export {
+  CROSS_CURRENCY_DONATIONS,
+  getExchangeRate,
+  listExchangeRates,
+  setExchangeRate,
+};
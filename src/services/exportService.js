@@ -0,0 +1,340 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { once } from "events";
+import prisma from "../config/db.js";
+import { directionFilter } from "./donationService.js";
+import { enqueueJob } from "./jobService.js";
+import { maskDonationFor } from "../utils/donorPrivacy.js";
+import { csvRow } from "../utils/csv.js";
+
+// exports with more rows than this are built by a job and emailed as a link
+const EXPORT_SYNC_MAX_ROWS = Number(process.env.EXPORT_SYNC_MAX_ROWS || 5000);
+// where background exports are written (shared storage if several instances)
+const EXPORT_DIR =
+  process.env.EXPORT_DIR || path.join(os.tmpdir(), "fastamoni-exports");
+const EXPORT_LINK_TTL_HOURS = Number(process.env.EXPORT_LINK_TTL_HOURS || 24);
+// rows read from the database at a time
+const EXPORT_BATCH_SIZE = 500;
+
+const FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+};
+
+// every column a caller can ask for, computed from a donation as the exporting
+// user sees it (anonymous senders are masked on received donations)
+const COLUMNS = {
+  id: (d) => d.id,
+  date: (d) => d.createdAt,
+  direction: (d) => d.direction,
+  reference: (d) => d.transactions[0]?.reference || null,
+  amount: (d) => d.amount,
+  currency: (d) => d.currency,
+  receivedAmount: (d) => d.receivedAmount,
+  receivedCurrency: (d) => d.receivedCurrency,
+  exchangeRate: (d) => d.exchangeRate,
+  reversedAmount: (d) => d.reversedAmount,
+  senderId: (d) => d.senderId,
+  senderName: (d) => d.sender.name,
+  receiverId: (d) => d.receiverId,
+  receiverName: (d) => d.receiver.name,
+  campaignId: (d) => d.campaignId,
+  anonymous: (d) => d.anonymous,
+  message: (d) => d.message,
+};
+
+const DEFAULT_COLUMNS = [
+  "id",
+  "date",
+  "direction",
+  "reference",
+  "amount",
+  "currency",
+  "receivedAmount",
+  "receivedCurrency",
+  "reversedAmount",
+  "senderName",
+  "receiverName",
+  "message",
+];
+
+// Validate the query into { format, direction, startDate, endDate, columns }
+// (plain values, so it can be stored with a background export)
+const parseExportOptions = ({
+  format = "csv",
+  direction = "sent",
+  startDate,
+  endDate,
+  columns,
+}) => {
+  if (!Object.hasOwn(FORMATS, format)) {
+    throw new Error("Invalid format");
+  }
+
+  directionFilter(0, direction);
+
+  for (const date of [startDate, endDate]) {
+    if (date && isNaN(new Date(date))) {
+      throw new Error("Invalid date format");
+    }
+  }
+
+  const selected = columns
+    ? String(columns)
+        .split(",")
+        .map((c) => c.trim())
+        .filter(Boolean)
+    : DEFAULT_COLUMNS;
+
+  if (selected.length === 0) {
+    throw new Error("No columns selected");
+  }
+
+  const unknown = selected.find((c) => !Object.hasOwn(COLUMNS, c));
+  if (unknown) {
+    throw new Error(`Unknown column: ${unknown}`);
+  }
+
+  return {
+    format,
+    direction,
+    startDate: startDate || null,
+    endDate: endDate || null,
+    columns: selected,
+  };
+};
+
+const exportWhere = (userId, { direction, startDate, endDate }) => {
+  const createdAt = {};
+  if (startDate) createdAt.gte = new Date(startDate);
+  if (endDate) createdAt.lte = new Date(endDate);
+
+  return {
+    ...directionFilter(userId, direction),
+    ...(startDate || endDate ? { createdAt } : {}),
+  };
+};
+
+const countDonationExport = (userId, options) =>
+  prisma.donation.count({ where: exportWhere(userId, options) });
+
+// Write every matching donation, oldest first, through `write(chunk)` (which
+// may return a promise to apply backpressure). Reads EXPORT_BATCH_SIZE rows at
+// a time by id, so memory stays flat however long the history is.
+const writeDonationExport = async (userId, options, write) => {
+  const where = exportWhere(userId, options);
+  const columns = options.columns;
+  const viewer = { id: userId };
+  let cursor = 0;
+  let rows = 0;
+
+  if (options.format === "csv") {
+    await write(csvRow(columns));
+  }
+
+  for (;;) {
+    const batch = await prisma.donation.findMany({
+      where: { ...where, id: { gt: cursor } },
+      include: {
+        sender: { select: { id: true, name: true } },
+        receiver: { select: { id: true, name: true } },
+        // the exporting user's own side of the donation
+        transactions: {
+          where: {
+            userId,
+            type: { in: ["DONATION_DEBIT", "DONATION_CREDIT"] },
+          },
+          select: { reference: true },
+          orderBy: { id: "asc" },
+        },
+      },
+      orderBy: { id: "asc" },
+      take: EXPORT_BATCH_SIZE,
+    });
+
+    if (batch.length === 0) break;
+
+    const chunk = batch
+      .map((donation) => {
+        const visible = {
+          ...maskDonationFor(donation, viewer),
+          direction: donation.senderId === userId ? "sent" : "received",
+        };
+        const values = columns.map((column) => COLUMNS[column](visible));
+
+        return options.format === "csv"
+          ? csvRow(values)
+          : `${JSON.stringify(
+              Object.fromEntries(columns.map((c, i) => [c, values[i]]))
+            )}\n`;
+      })
+      .join("");
+
+    await write(chunk);
+    rows += batch.length;
+    cursor = batch[batch.length - 1].id;
+
+    if (batch.length < EXPORT_BATCH_SIZE) break;
+  }
+
+  return rows;
+};
+
+// queue a background export; the user is emailed a link when it is ready
+const requestDonationExport = async (userId, options) => {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const donationExport = await tx.donationExport.create({
+        data: { userId, format: options.format, options },
+        select: { id: true, status: true, createdAt: true },
+      });
+
+      await enqueueJob(tx, "donations.export", {
+        exportId: donationExport.id,
+      });
+
+      return donationExport;
+    });
+  } catch (error) {
+    console.error("Request Donation Export Error:", error.message);
+    throw error;
+  }
+};
+
+const exportFilePath = (donationExport) =>
+  path.join(
+    EXPORT_DIR,
+    `donations-export-${donationExport.id}.${
+      FORMATS[donationExport.format].extension
+    }`
+  );
+
+const hashExportToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// delete the files of exports whose link has expired
+const removeExpiredExports = async () => {
+  const expired = await prisma.donationExport.findMany({
+    where: { status: "READY", expiresAt: { lte: new Date() } },
+    select: { id: true, format: true },
+  });
+
+  for (const donationExport of expired) {
+    await fs.promises.rm(exportFilePath(donationExport), { force: true });
+  }
+
+  if (expired.length > 0) {
+    await prisma.donationExport.updateMany({
+      where: { id: { in: expired.map((e) => e.id) } },
+      data: { status: "EXPIRED" },
+    });
+  }
+};
+
+// Job "donations.export": write the file, then mark it ready and queue the
+// email with its download link in one transaction. A retry rewrites the same
+// file, so a crash half way leaves nothing behind.
+const buildDonationExport = async ({ exportId }) => {
+  await removeExpiredExports();
+
+  const donationExport = await prisma.donationExport.findUnique({
+    where: { id: exportId },
+    include: { user: { select: { email: true, name: true, locale: true } } },
+  });
+
+  if (!donationExport || donationExport.status !== "PENDING") return;
+
+  const filePath = exportFilePath(donationExport);
+  await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+
+  const file = fs.createWriteStream(filePath);
+  let rowCount;
+  try {
+    rowCount = await writeDonationExport(
+      donationExport.userId,
+      donationExport.options,
+      async (chunk) => {
+        if (!file.write(chunk)) await once(file, "drain");
+      }
+    );
+  } finally {
+    file.end();
+  }
+  await once(file, "close");
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(
+    Date.now() + EXPORT_LINK_TTL_HOURS * 60 * 60 * 1000
+  );
+  const baseUrl = process.env.APP_URL || "http://localhost:3000";
+
+  await prisma.$transaction(async (tx) => {
+    await tx.donationExport.update({
+      where: { id: exportId },
+      data: {
+        status: "READY",
+        tokenHash: hashExportToken(token),
+        rowCount,
+        expiresAt,
+        completedAt: new Date(),
+      },
+    });
+
+    await enqueueJob(tx, "email.send", {
+      to: donationExport.user.email,
+      template: "export_ready",
+      variables: {
+        name: donationExport.user.name,
+        rows: rowCount,
+        link: `${baseUrl}/api/donations/exports/${token}`,
+        expiresInHours: EXPORT_LINK_TTL_HOURS,
+      },
+      locale: donationExport.user.locale,
+    });
+  });
+};
+
+// look up a ready export by the token from its emailed link
+const getExportDownload = async (token) => {
+  try {
+    const donationExport = await prisma.donationExport.findUnique({
+      where: { tokenHash: hashExportToken(String(token)) },
+    });
+
+    if (!donationExport) {
+      throw new Error("Export not found");
+    }
+
+    if (
+      donationExport.status !== "READY" ||
+      donationExport.expiresAt <= new Date()
+    ) {
+      throw new Error("Export has expired");
+    }
+
+    const { extension, contentType } = FORMATS[donationExport.format];
+
+    return {
+      filePath: exportFilePath(donationExport),
+      fileName: `donations-${donationExport.id}.${extension}`,
+      contentType,
+    };
+  } catch (error) {
+    console.error("Get Export Download Error:", error.message);
+    throw error;
+  }
+};
+
+export {
+  FORMATS as EXPORT_FORMATS,
+  COLUMNS as EXPORT_COLUMNS,
+  EXPORT_SYNC_MAX_ROWS,
+  parseExportOptions,
+  countDonationExport,
+  writeDonationExport,
+  requestDonationExport,
+  buildDonationExport,
+  getExportDownload,
+};
@@ -0,0 +1,23 @@
+import prisma from "../config/db.js";
+
+// Look up the transaction already created for an idempotency key.
+// Keys are global, so a key reused by another user or for another kind of
+// operation is rejected instead of leaking someone else's transaction.
+const findIdempotentTransaction = async (key, userId, type) => {
+  const record = await prisma.idempotencyKey.findUnique({
+    where: { key },
+    select: { transaction: { include: { donation: true } } },
+  });
+
+  if (!record) {
+    return null;
+  }
+
+  if (record.transaction.userId !== userId || record.transaction.type !== type) {
+    throw new Error("Idempotency key already used");
+  }
+
+  return record.transaction;
+};
+
+export { findIdempotentTransaction };
@@ -0,0 +1,248 @@
+import os from "os";
+import prisma from "../config/db.js";
+import { getJobHandler } from "./jobs/index.js";
+import { findPage } from "../utils/pagination.js";
+
+const JOBS_POLL_INTERVAL_MS = Number(process.env.JOBS_POLL_INTERVAL_MS || 1000);
+// jobs one worker runs at once, across all types
+const JOBS_CONCURRENCY = Number(process.env.JOBS_CONCURRENCY || 5);
+// retry n waits base * 2^(n-1) (10s, 20s, 40s, ...), capped at an hour
+const JOBS_RETRY_BASE_MS = Number(process.env.JOBS_RETRY_BASE_MS || 10 * 1000);
+const JOBS_RETRY_MAX_MS = 60 * 60 * 1000;
+// a RUNNING job not finished after this long is assumed lost (worker died)
+const JOBS_LOCK_TIMEOUT_MS = Number(
+  process.env.JOBS_LOCK_TIMEOUT_MS || 5 * 60 * 1000
+);
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Add a job. Pass the caller's prisma.$transaction client so the job is only
+// recorded if the change it belongs to commits (outbox).
+const enqueueJob = async (
+  client,
+  type,
+  payload,
+  { runAt, maxAttempts } = {}
+) => {
+  getJobHandler(type);
+
+  return client.job.create({
+    data: {
+      type,
+      // Decimals and dates as strings
+      payload: JSON.parse(JSON.stringify(payload)),
+      ...(runAt ? { runAt } : {}),
+      ...(maxAttempts ? { maxAttempts } : {}),
+    },
+  });
+};
+
+const retryDelay = (attempts) =>
+  Math.min(JOBS_RETRY_BASE_MS * 2 ** (attempts - 1), JOBS_RETRY_MAX_MS);
+
+// running job count per type in this worker
+const running = new Map();
+const runningTotal = () =>
+  [...running.values()].reduce((total, count) => total + count, 0);
+
+const runJob = async (job) => {
+  const handler = getJobHandler(job.type);
+  running.set(job.type, (running.get(job.type) || 0) + 1);
+
+  try {
+    await handler.run(job.payload);
+
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: "SUCCEEDED",
+        lockedAt: null,
+        lastError: null,
+        completedAt: new Date(),
+      },
+    });
+  } catch (error) {
+    // job.attempts already counts this attempt (incremented on claim)
+    const dead = job.attempts >= job.maxAttempts;
+
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: dead ? "DEAD" : "PENDING",
+        lockedAt: null,
+        lastError: String(error?.message || error),
+        runAt: new Date(Date.now() + retryDelay(job.attempts)),
+      },
+    });
+
+    console.error(
+      `Job Error: #${job.id} ${job.type} attempt ${job.attempts}/${
+        job.maxAttempts
+      }${dead ? " (dead)" : ""}:`,
+      error?.message || error
+    );
+  } finally {
+    running.set(job.type, running.get(job.type) - 1);
+  }
+};
+
+// Start due jobs, up to the worker and per-type concurrency limits.
+// Jobs run in the background; returns how many were started.
+const runDueJobs = async (now = new Date()) => {
+  // put back jobs whose worker stopped before finishing them
+  await prisma.job.updateMany({
+    where: {
+      status: "RUNNING",
+      lockedAt: { lt: new Date(now.getTime() - JOBS_LOCK_TIMEOUT_MS) },
+    },
+    data: { status: "PENDING", lockedAt: null },
+  });
+
+  let free = JOBS_CONCURRENCY - runningTotal();
+  if (free <= 0) return 0;
+
+  const due = await prisma.job.findMany({
+    where: { status: "PENDING", runAt: { lte: now } },
+    orderBy: { runAt: "asc" },
+    take: free * 2,
+  });
+
+  let started = 0;
+  for (const job of due) {
+    if (free <= 0) break;
+
+    let handler;
+    try {
+      handler = getJobHandler(job.type);
+    } catch (error) {
+      // e.g. a job type removed in a newer version: park it for an admin
+      await prisma.job.update({
+        where: { id: job.id },
+        data: { status: "DEAD", lastError: error.message },
+      });
+      continue;
+    }
+
+    if ((running.get(job.type) || 0) >= handler.concurrency) continue;
+
+    // claim it so another worker does not run it too
+    const claimed = await prisma.job.updateMany({
+      where: { id: job.id, status: "PENDING" },
+      data: {
+        status: "RUNNING",
+        lockedAt: new Date(),
+        attempts: { increment: 1 },
+      },
+    });
+    if (claimed.count === 0) continue;
+
+    runJob({ ...job, attempts: job.attempts + 1 }).catch((error) => {
+      console.error(`Job Worker Error: #${job.id}:`, error.message);
+    });
+    free -= 1;
+    started += 1;
+  }
+
+  return started;
+};
+
+let workerTimer = null;
+let workerBusy = false;
+
+const poll = async () => {
+  if (workerBusy) return;
+  workerBusy = true;
+  try {
+    await runDueJobs();
+  } catch (error) {
+    console.error("Job Worker Error:", error.message);
+  } finally {
+    workerBusy = false;
+  }
+};
+
+// in-app worker: polls for due jobs every interval
+const startJobWorker = () => {
+  if (workerTimer) return;
+
+  console.info(`Job Worker: started (${WORKER_ID})`);
+  workerTimer = setInterval(poll, JOBS_POLL_INTERVAL_MS);
+
+  // never keep the process alive just for the worker
+  workerTimer.unref();
+};
+
+const stopJobWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+const JOB_STATUSES = ["PENDING", "RUNNING", "SUCCEEDED", "DEAD"];
+
+const listJobs = async ({ status, type }, pagination) => {
+  try {
+    const where = {};
+
+    if (status) {
+      if (!JOB_STATUSES.includes(status)) {
+        throw new Error("Invalid status");
+      }
+      where.status = status;
+    }
+
+    if (type) {
+      where.type = type;
+    }
+
+    return await findPage(prisma.job, { where }, pagination);
+  } catch (error) {
+    console.error("List Jobs Error:", error.message);
+    throw error;
+  }
+};
+
+const getJob = async (jobId) => {
+  try {
+    const job = await prisma.job.findUnique({ where: { id: jobId } });
+
+    if (!job) {
+      throw new Error("Job not found");
+    }
+
+    return job;
+  } catch (error) {
+    console.error("Get Job Error:", error.message);
+    throw error;
+  }
+};
+
+// give a dead job a fresh set of attempts
+const retryJob = async (jobId) => {
+  try {
+    await getJob(jobId);
+
+    const retried = await prisma.job.updateMany({
+      where: { id: jobId, status: "DEAD" },
+      data: { status: "PENDING", attempts: 0, runAt: new Date() },
+    });
+
+    if (retried.count === 0) {
+      throw new Error("Only dead jobs can be retried");
+    }
+
+    return await getJob(jobId);
+  } catch (error) {
+    console.error("Retry Job Error:", error.message);
+    throw error;
+  }
+};
+
+export {
+  enqueueJob,
+  runDueJobs,
+  startJobWorker,
+  stopJobWorker,
+  listJobs,
+  getJob,
+  retryJob,
+};
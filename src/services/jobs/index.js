@@ -0,0 +1,49 @@
+import { sendGenericEmail, sendTemplateEmail } from "../../utils/email.js";
+import {
+  notifyDonorMilestones,
+  notifyDonationReceived,
+} from "../notificationService.js";
+import { buildDonationExport } from "../exportService.js";
+
+// Job handlers implement:
+//   run(payload) -> resolves when done; throwing schedules a retry
+//   concurrency: how many jobs of this type one worker runs at once
+// (handlers from services that enqueue jobs themselves are wrapped so the
+// import cycle through jobService.js is resolved by the time they run)
+
+// rendered when the job runs, so a template fix also applies to queued emails;
+// { to, subject, html } payloads (queued before templates) are sent as-is
+const sendEmail = ({ to, template, variables, locale, subject, html }) =>
+  template
+    ? sendTemplateEmail(to, template, variables, locale)
+    : sendGenericEmail(to, subject, html);
+
+const handlers = {
+  // { to, template, variables, locale }
+  "email.send": { concurrency: 3, run: sendEmail },
+  // { senderId }: milestone rules in src/config/notificationRules.js
+  "donation.milestones": {
+    concurrency: 3,
+    run: (payload) => notifyDonorMilestones(payload),
+  },
+  // { donationId }: "you received a donation" email to the receiver
+  "donation.received": {
+    concurrency: 3,
+    run: (payload) => notifyDonationReceived(payload),
+  },
+  // { exportId }: large donation export, emailed as a download link
+  "donations.export": {
+    concurrency: 1,
+    run: (payload) => buildDonationExport(payload),
+  },
+};
+
+const getJobHandler = (type) => {
+  const handler = handlers[type];
+  if (!handler) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  return handler;
+};
+
+export { getJobHandler };
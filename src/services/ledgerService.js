@@ -0,0 +1,283 @@
+import prisma from "../config/db.js";
+import { Decimal } from "@prisma/client/runtime/library.js";
+import { normalizeCurrency } from "../config/currencies.js";
+
+// system (platform-side) ledger accounts
+const SYSTEM_ACCOUNTS = {
+  OPENING_BALANCE: "SYSTEM:OPENING_BALANCE",
+  TOPUP_FUNDING: "SYSTEM:TOPUP_FUNDING",
+  FEES: "SYSTEM:FEES",
+  WITHDRAWALS_PENDING: "SYSTEM:WITHDRAWALS_PENDING",
+  PAYOUTS_SETTLED: "SYSTEM:PAYOUTS_SETTLED",
+  // donations held for risk review (sender's funds reserved until decided)
+  DONATIONS_HELD: "SYSTEM:DONATIONS_HELD",
+  // currency exchange position: takes one currency in, pays another out
+  FX: "SYSTEM:FX",
+};
+
+// wallet accounts are credit-normal: credits raise the balance, debits lower it
+const walletAccount = (walletId) => ({ walletId });
+const systemAccount = (code) => ({ code });
+
+// ledger lines moving `amount` out of one wallet and `received` into another,
+// through the FX account when the currencies differ. Either side may also be
+// { account, currency } for a system account (e.g. held donations).
+const transferLines = (from, to, amount, received) => {
+  const fromAccount = from.account || walletAccount(from.id);
+  const toAccount = to.account || walletAccount(to.id);
+
+  if (from.currency === to.currency) {
+    return [
+      {
+        account: fromAccount,
+        direction: "DEBIT",
+        amount,
+        currency: from.currency,
+      },
+      {
+        account: toAccount,
+        direction: "CREDIT",
+        amount,
+        currency: to.currency,
+      },
+    ];
+  }
+
+  return [
+    {
+      account: fromAccount,
+      direction: "DEBIT",
+      amount,
+      currency: from.currency,
+    },
+    {
+      account: systemAccount(SYSTEM_ACCOUNTS.FX),
+      direction: "CREDIT",
+      amount,
+      currency: from.currency,
+    },
+    {
+      account: systemAccount(SYSTEM_ACCOUNTS.FX),
+      direction: "DEBIT",
+      amount: received,
+      currency: to.currency,
+    },
+    {
+      account: toAccount,
+      direction: "CREDIT",
+      amount: received,
+      currency: to.currency,
+    },
+  ];
+};
+
+const resolveAccount = async (tx, ref) => {
+  if (ref.walletId) {
+    return tx.ledgerAccount.upsert({
+      where: { walletId: ref.walletId },
+      update: {},
+      create: { type: "WALLET", walletId: ref.walletId },
+      include: { wallet: { select: { currency: true } } },
+    });
+  }
+
+  return tx.ledgerAccount.upsert({
+    where: { code: ref.code },
+    update: {},
+    create: { type: "SYSTEM", code: ref.code },
+  });
+};
+
+// Post a balanced journal entry and update the cached wallet balances.
+// Must run inside a prisma.$transaction (pass its client as `tx`).
+// lines: [{ account: walletAccount(id) | systemAccount(code), direction, amount, currency }]
+// Debits and credits must balance within each currency; conversions go through SYSTEM:FX.
+const postEntry = async (
+  tx,
+  { type, reference, description, transactionId, lines }
+) => {
+  const netByCurrency = new Map();
+
+  for (const line of lines) {
+    const amount = new Decimal(line.amount);
+    if (amount.lte(0)) {
+      throw new Error("Ledger line amount must be greater than zero");
+    }
+    if (!["DEBIT", "CREDIT"].includes(line.direction)) {
+      throw new Error(`Unknown ledger direction: ${line.direction}`);
+    }
+    const currency = normalizeCurrency(line.currency);
+    const current = netByCurrency.get(currency) || new Decimal(0);
+    netByCurrency.set(
+      currency,
+      line.direction === "DEBIT" ? current.plus(amount) : current.minus(amount)
+    );
+  }
+
+  for (const net of netByCurrency.values()) {
+    if (!net.isZero()) {
+      throw new Error("Ledger entry is not balanced");
+    }
+  }
+
+  const resolved = [];
+  for (const line of lines) {
+    const account = await resolveAccount(tx, line.account);
+    if (account.wallet && account.wallet.currency !== line.currency) {
+      throw new Error("Ledger line currency does not match wallet currency");
+    }
+    resolved.push({ ...line, accountId: account.id, walletId: account.walletId });
+  }
+
+  const entry = await tx.ledgerEntry.create({
+    data: {
+      type,
+      reference,
+      description,
+      transactionId,
+      lines: {
+        create: resolved.map((line) => ({
+          accountId: line.accountId,
+          direction: line.direction,
+          amount: new Decimal(line.amount),
+          currency: line.currency,
+        })),
+      },
+    },
+    include: { lines: true },
+  });
+
+  // net change per wallet, then apply it to the cached balance
+  const netByWallet = new Map();
+  for (const line of resolved) {
+    if (!line.walletId) continue;
+    const signed =
+      line.direction === "CREDIT"
+        ? new Decimal(line.amount)
+        : new Decimal(line.amount).neg();
+    const current = netByWallet.get(line.walletId) || new Decimal(0);
+    netByWallet.set(line.walletId, current.plus(signed));
+  }
+
+  for (const [walletId, net] of netByWallet) {
+    if (net.isZero()) continue;
+
+    // conditional update: a wallet can never go below zero
+    const updated = await tx.wallet.updateMany({
+      where: net.lt(0)
+        ? { id: walletId, balance: { gte: net.neg() } }
+        : { id: walletId },
+      data: { balance: { increment: net } },
+    });
+
+    if (updated.count === 0) {
+      throw new Error("Insufficient funds in wallet");
+    }
+  }
+
+  return entry;
+};
+
+// balance of a wallet as computed from its journal lines
+// (optionally only lines posted before a given date)
+const getLedgerBalance = async (walletId, { client = prisma, before } = {}) => {
+  const account = await client.ledgerAccount.findUnique({
+    where: { walletId },
+    select: { id: true },
+  });
+
+  if (!account) return new Decimal(0);
+
+  const sums = await client.journalLine.groupBy({
+    by: ["direction"],
+    where: {
+      accountId: account.id,
+      ...(before ? { createdAt: { lt: before } } : {}),
+    },
+    _sum: { amount: true },
+  });
+
+  let balance = new Decimal(0);
+  for (const row of sums) {
+    const total = new Decimal(row._sum.amount || 0);
+    balance =
+      row.direction === "CREDIT" ? balance.plus(total) : balance.minus(total);
+  }
+  return balance;
+};
+
+// compare a user's cached wallet balance against the ledger
+const auditWallet = async (userId, currency) => {
+  try {
+    const wallet = await prisma.wallet.findUnique({
+      where: {
+        userId_currency: { userId, currency: normalizeCurrency(currency) },
+      },
+      select: { id: true, userId: true, currency: true, balance: true },
+    });
+
+    if (!wallet) {
+      throw new Error("Wallet not found");
+    }
+
+    const ledgerBalance = await getLedgerBalance(wallet.id);
+    const cachedBalance = new Decimal(wallet.balance);
+
+    return {
+      walletId: wallet.id,
+      userId: wallet.userId,
+      currency: wallet.currency,
+      cachedBalance,
+      ledgerBalance,
+      difference: cachedBalance.minus(ledgerBalance),
+      matches: cachedBalance.eq(ledgerBalance),
+    };
+  } catch (error) {
+    console.error("Audit Wallet Error:", error.message);
+    throw error;
+  }
+};
+
+// rebuild a user's cached wallet balance from the ledger
+const rebuildWalletBalance = async (userId, currency) => {
+  try {
+    const walletCurrency = normalizeCurrency(currency);
+
+    return await prisma.$transaction(
+      async (tx) => {
+        const wallet = await tx.wallet.findUnique({
+          where: { userId_currency: { userId, currency: walletCurrency } },
+          select: { id: true, balance: true },
+        });
+
+        if (!wallet) {
+          throw new Error("Wallet not found");
+        }
+
+        const ledgerBalance = await getLedgerBalance(wallet.id, { client: tx });
+
+        const updated = await tx.wallet.update({
+          where: { id: wallet.id },
+          data: { balance: ledgerBalance },
+        });
+
+        return { previousBalance: wallet.balance, wallet: updated };
+      },
+      { isolationLevel: "Serializable" }
+    );
+  } catch (error) {
+    console.error("Rebuild Wallet Balance Error:", error.message);
+    throw error;
+  }
+};
+
+export {
+  SYSTEM_ACCOUNTS,
+  walletAccount,
+  systemAccount,
+  transferLines,
+  postEntry,
+  getLedgerBalance,
+  auditWallet,
+  rebuildWalletBalance,
+};
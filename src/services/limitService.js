@@ -0,0 +1,259 @@
+import prisma from "../config/db.js";
+import { Decimal } from "@prisma/client/runtime/library.js";
+import {
+  CURRENCIES,
+  normalizeCurrency,
+  parseAmount,
+} from "../config/currencies.js";
+
+// usage windows (UTC calendar hour/day/month) and the limit each one enforces
+const WINDOWS = [
+  { period: "HOUR", limit: "HOURLY_COUNT", field: "hourlyCount" },
+  { period: "DAY", limit: "DAILY", field: "daily" },
+  { period: "MONTH", limit: "MONTHLY", field: "monthly" },
+];
+
+const windowStart = (period, now) => {
+  const y = now.getUTCFullYear();
+  const m = now.getUTCMonth();
+  if (period === "HOUR") {
+    return new Date(Date.UTC(y, m, now.getUTCDate(), now.getUTCHours()));
+  }
+  if (period === "DAY") return new Date(Date.UTC(y, m, now.getUTCDate()));
+  return new Date(Date.UTC(y, m, 1));
+};
+
+const windowEnd = (period, start) => {
+  const end = new Date(start);
+  if (period === "HOUR") end.setUTCHours(end.getUTCHours() + 1);
+  else if (period === "DAY") end.setUTCDate(end.getUTCDate() + 1);
+  else end.setUTCMonth(end.getUTCMonth() + 1);
+  return end;
+};
+
+// global defaults for the currency, overridden field by field per user
+const getEffectiveLimits = async (userId, currency, client = prisma) => {
+  const defaults = CURRENCIES[currency].limits || {};
+  const override = await client.donationLimit.findUnique({
+    where: { userId_currency: { userId, currency } },
+  });
+
+  const pick = (field) => override?.[field] ?? defaults[field] ?? null;
+  const amount = (field) =>
+    pick(field) === null ? null : new Decimal(pick(field));
+
+  return {
+    perTransaction: amount("perTransaction"),
+    daily: amount("daily"),
+    monthly: amount("monthly"),
+    hourlyCount: pick("hourlyCount"),
+  };
+};
+
+// structured error: which limit was hit, its cap and what is left
+const limitError = (limit, details) => {
+  const error = new Error("Donation limit exceeded");
+  return Object.assign(error, { limit, ...details });
+};
+
+// Reserve allowance for a donation. Runs inside the donation's
+// prisma.$transaction: each window is a conditional increment, so concurrent
+// donations cannot push a user past a cap (same idea as the wallet balance).
+const consumeDonationAllowance = async (
+  tx,
+  userId,
+  currency,
+  amount,
+  now = new Date()
+) => {
+  const limits = await getEffectiveLimits(userId, currency, tx);
+
+  if (limits.perTransaction && amount.gt(limits.perTransaction)) {
+    throw limitError("PER_TRANSACTION", {
+      currency,
+      max: limits.perTransaction,
+      remaining: limits.perTransaction,
+      resetsAt: null,
+    });
+  }
+
+  const keys = WINDOWS.map(({ period }) => ({
+    userId,
+    currency,
+    period,
+    periodStart: windowStart(period, now),
+  }));
+
+  // ON CONFLICT DO NOTHING: safe when two donations open the same window
+  await tx.donationUsage.createMany({ data: keys, skipDuplicates: true });
+
+  for (const [i, window] of WINDOWS.entries()) {
+    const cap = limits[window.field];
+    const where = { ...keys[i] };
+
+    if (cap !== null && window.field === "hourlyCount") {
+      where.count = { lt: cap };
+    } else if (cap !== null) {
+      where.amount = { lte: cap.minus(amount) };
+    }
+
+    const updated = await tx.donationUsage.updateMany({
+      where,
+      data: { amount: { increment: amount }, count: { increment: 1 } },
+    });
+
+    if (updated.count === 0) {
+      const usage = await tx.donationUsage.findUnique({
+        where: { userId_currency_period_periodStart: keys[i] },
+      });
+      const remaining =
+        window.field === "hourlyCount"
+          ? Math.max(cap - usage.count, 0)
+          : Decimal.max(cap.minus(usage.amount), 0);
+
+      throw limitError(window.limit, {
+        currency,
+        max: cap,
+        remaining,
+        resetsAt: windowEnd(window.period, keys[i].periodStart),
+      });
+    }
+  }
+};
+
+// Give back what consumeDonationAllowance reserved at `consumedAt` (a held
+// donation that was rejected). Runs inside the caller's prisma.$transaction.
+const releaseDonationAllowance = async (
+  tx,
+  userId,
+  currency,
+  amount,
+  consumedAt
+) => {
+  for (const { period } of WINDOWS) {
+    await tx.donationUsage.updateMany({
+      where: {
+        userId,
+        currency,
+        period,
+        periodStart: windowStart(period, consumedAt),
+        count: { gt: 0 },
+      },
+      data: { amount: { decrement: amount }, count: { decrement: 1 } },
+    });
+  }
+};
+
+// caps, usage and remaining allowance for the current windows
+const getDonationLimits = async (userId, currency) => {
+  try {
+    const limitCurrency = normalizeCurrency(currency);
+    const now = new Date();
+    const limits = await getEffectiveLimits(userId, limitCurrency);
+
+    const usage = await prisma.donationUsage.findMany({
+      where: {
+        userId,
+        currency: limitCurrency,
+        OR: WINDOWS.map(({ period }) => ({
+          period,
+          periodStart: windowStart(period, now),
+        })),
+      },
+    });
+
+    const result = {
+      currency: limitCurrency,
+      perTransaction: { max: limits.perTransaction },
+    };
+
+    for (const window of WINDOWS) {
+      const row = usage.find((u) => u.period === window.period);
+      const cap = limits[window.field];
+      const used =
+        window.field === "hourlyCount"
+          ? row?.count || 0
+          : new Decimal(row?.amount || 0);
+
+      let remaining = null;
+      if (cap !== null) {
+        remaining =
+          window.field === "hourlyCount"
+            ? Math.max(cap - used, 0)
+            : Decimal.max(cap.minus(used), 0);
+      }
+
+      result[window.field] = {
+        max: cap,
+        used,
+        remaining,
+        resetsAt: windowEnd(window.period, windowStart(window.period, now)),
+      };
+    }
+
+    return result;
+  } catch (error) {
+    console.error("Get Donation Limits Error:", error.message);
+    throw error;
+  }
+};
+
+// Set a user's overrides for one currency; null clears a field back to the
+// global default
+const setUserDonationLimits = async (userId, currency, fields) => {
+  try {
+    const limitCurrency = normalizeCurrency(currency);
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true },
+    });
+
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    const data = {};
+
+    for (const field of ["perTransaction", "daily", "monthly"]) {
+      if (fields[field] === undefined) continue;
+      if (fields[field] === null) {
+        data[field] = null;
+        continue;
+      }
+      const value = parseAmount(fields[field], limitCurrency);
+      if (value.isNaN() || value.lte(0)) {
+        throw new Error("Limits must be greater than zero");
+      }
+      data[field] = value;
+    }
+
+    if (fields.hourlyCount !== undefined) {
+      if (
+        fields.hourlyCount !== null &&
+        (!Number.isInteger(fields.hourlyCount) || fields.hourlyCount < 1)
+      ) {
+        throw new Error("Limits must be greater than zero");
+      }
+      data.hourlyCount = fields.hourlyCount;
+    }
+
+    await prisma.donationLimit.upsert({
+      where: { userId_currency: { userId, currency: limitCurrency } },
+      update: data,
+      create: { userId, currency: limitCurrency, ...data },
+    });
+
+    return await getDonationLimits(userId, limitCurrency);
+  } catch (error) {
+    console.error("Set Donation Limits Error:", error.message);
+    throw error;
+  }
+};
+
+export {
+  consumeDonationAllowance,
+  releaseDonationAllowance,
+  getDonationLimits,
+  setUserDonationLimits,
+};
@@ -0,0 +1,270 @@
+import jwt from "jsonwebtoken";
+import prisma from "../config/db.js";
+import { Decimal } from "@prisma/client/runtime/library.js";
+import { NOTIFICATION_RULES } from "../config/notificationRules.js";
+import { enqueueJob } from "./jobService.js";
+import { sendTemplateEmail } from "../utils/email.js";
+import { listEmailTemplates } from "../utils/emailTemplates/index.js";
+import { maskDonationFor } from "../utils/donorPrivacy.js";
+
+const JWT_SECRET = process.env.JWT_SECRET || "test_secret_key";
+const UNSUBSCRIBE_PURPOSE = "unsubscribe";
+
+// optional email categories and the User column that switches each one off;
+// security emails (verification, password and PIN) are always sent
+const EMAIL_CATEGORIES = {
+  milestones: "milestoneEmails",
+  donationReceived: "donationReceivedEmails",
+};
+
+// Signed one-click link that turns one category off. It does not expire, so
+// links in old emails keep working.
+const unsubscribeLink = (userId, category) => {
+  const token = jwt.sign(
+    { id: userId, category, purpose: UNSUBSCRIBE_PURPOSE },
+    JWT_SECRET
+  );
+  const baseUrl = process.env.APP_URL || "http://localhost:3000";
+  return `${baseUrl}/api/auth/unsubscribe?token=${encodeURIComponent(token)}`;
+};
+
+// what the donor has reached: completed donations and net amount per currency
+const donorProgress = async (senderId) => {
+  const [count, totals] = await Promise.all([
+    prisma.donation.count({ where: { senderId } }),
+    prisma.donation.groupBy({
+      by: ["currency"],
+      where: { senderId },
+      _sum: { amount: true, reversedAmount: true },
+    }),
+  ]);
+
+  const donated = Object.fromEntries(
+    totals.map((row) => [
+      row.currency,
+      new Decimal(row._sum.amount || 0).minus(row._sum.reversedAmount || 0),
+    ])
+  );
+
+  return { count, donated };
+};
+
+const isReached = (rule, progress) =>
+  rule.type === "DONATION_COUNT"
+    ? progress.count >= rule.threshold
+    : (progress.donated[rule.currency] || new Decimal(0)).gte(rule.threshold);
+
+// Milestone rules reached by several at once (e.g. a rule added later): only
+// the biggest one of each kind is emailed, the rest are just marked as sent.
+const rulesToEmail = (rules) => {
+  const biggest = new Map();
+  for (const rule of rules) {
+    const kind = `${rule.type}:${rule.currency || ""}`;
+    const current = biggest.get(kind);
+    if (!current || new Decimal(rule.threshold).gt(current.threshold)) {
+      biggest.set(kind, rule);
+    }
+  }
+  return [...biggest.values()];
+};
+
+// Job "donation.milestones": after each donation, email the donor for every
+// newly reached milestone rule. The rule is recorded and the email queued in
+// one transaction, so each rule is emailed at most once per user.
+const notifyDonorMilestones = async ({ senderId }) => {
+  const sent = await prisma.notificationSent.findMany({
+    where: { userId: senderId },
+    select: { rule: true },
+  });
+  const sentRules = new Set(sent.map((s) => s.rule));
+  const pending = NOTIFICATION_RULES.filter((rule) => !sentRules.has(rule.id));
+
+  if (pending.length === 0) return;
+
+  const progress = await donorProgress(senderId);
+  const reached = pending.filter((rule) => isReached(rule, progress));
+
+  if (reached.length === 0) return;
+
+  const user = await prisma.user.findUnique({
+    where: { id: senderId },
+    select: { email: true, name: true, locale: true, milestoneEmails: true },
+  });
+  const toEmail = rulesToEmail(reached);
+
+  await prisma.$transaction(async (tx) => {
+    for (const rule of reached) {
+      // ON CONFLICT DO NOTHING: another worker may have claimed it already
+      const claimed = await tx.notificationSent.createMany({
+        data: [{ userId: senderId, rule: rule.id }],
+        skipDuplicates: true,
+      });
+
+      if (claimed.count === 0) continue;
+      if (!user.milestoneEmails || !toEmail.includes(rule)) continue;
+
+      await enqueueJob(tx, "email.send", {
+        to: user.email,
+        template: rule.template,
+        variables: {
+          name: user.name,
+          count: rule.threshold,
+          amount: rule.threshold,
+          currency: rule.currency,
+          unsubscribeLink: unsubscribeLink(senderId, "milestones"),
+        },
+        locale: user.locale,
+      });
+    }
+  });
+};
+
+// Job "donation.received": tell the receiver about a donation. Anonymous
+// donors are shown exactly as the receiver sees them everywhere else.
+const notifyDonationReceived = async ({ donationId }) => {
+  const donation = await prisma.donation.findUnique({
+    where: { id: donationId },
+    include: {
+      sender: { select: { id: true, name: true, email: true } },
+      receiver: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          locale: true,
+          donationReceivedEmails: true,
+        },
+      },
+    },
+  });
+
+  if (!donation || !donation.receiver.donationReceivedEmails) return;
+
+  const { receiver } = donation;
+  const visible = maskDonationFor(donation, { id: receiver.id });
+
+  await sendTemplateEmail(
+    receiver.email,
+    "donation_received",
+    {
+      name: receiver.name,
+      donorName: visible.sender.name,
+      amount: donation.receivedAmount.toString(),
+      currency: donation.receivedCurrency,
+      message: donation.message,
+      unsubscribeLink: unsubscribeLink(receiver.id, "donationReceived"),
+    },
+    receiver.locale
+  );
+};
+
+const preferenceSelect = {
+  locale: true,
+  ...Object.fromEntries(
+    Object.values(EMAIL_CATEGORIES).map((column) => [column, true])
+  ),
+};
+
+// { locale, milestones, donationReceived }
+const toPreferences = (user) => ({
+  locale: user.locale,
+  ...Object.fromEntries(
+    Object.entries(EMAIL_CATEGORIES).map(([category, column]) => [
+      category,
+      user[column],
+    ])
+  ),
+});
+
+const getEmailPreferences = async (userId) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: preferenceSelect,
+    });
+
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    return toPreferences(user);
+  } catch (error) {
+    console.error("Get Email Preferences Error:", error.message);
+    throw error;
+  }
+};
+
+// change any of { locale, milestones, donationReceived }
+const updateEmailPreferences = async (userId, fields) => {
+  try {
+    const data = {};
+
+    for (const [category, column] of Object.entries(EMAIL_CATEGORIES)) {
+      if (fields[category] === undefined) continue;
+      if (typeof fields[category] !== "boolean") {
+        throw new Error("Email preferences must be true or false");
+      }
+      data[column] = fields[category];
+    }
+
+    if (fields.locale !== undefined) {
+      if (!listEmailTemplates().locales.includes(fields.locale)) {
+        throw new Error("Unsupported locale");
+      }
+      data.locale = fields.locale;
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userId },
+      data,
+      select: preferenceSelect,
+    });
+
+    return toPreferences(user);
+  } catch (error) {
+    console.error("Update Email Preferences Error:", error.message);
+    throw error;
+  }
+};
+
+// turn off the category named in a signed unsubscribe link
+const unsubscribe = async (token) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (e) {
+      throw new Error("Invalid unsubscribe link");
+    }
+
+    const column = Object.hasOwn(EMAIL_CATEGORIES, decoded.category)
+      ? EMAIL_CATEGORIES[decoded.category]
+      : null;
+
+    if (decoded.purpose !== UNSUBSCRIBE_PURPOSE || !column) {
+      throw new Error("Invalid unsubscribe link");
+    }
+
+    const updated = await prisma.user.updateMany({
+      where: { id: decoded.id },
+      data: { [column]: false },
+    });
+
+    if (updated.count === 0) {
+      throw new Error("Invalid unsubscribe link");
+    }
+
+    return { category: decoded.category };
+  } catch (error) {
+    console.error("Unsubscribe Error:", error.message);
+    throw error;
+  }
+};
+
+export {
+  notifyDonorMilestones,
+  notifyDonationReceived,
+  getEmailPreferences,
+  updateEmailPreferences,
+  unsubscribe,
+};
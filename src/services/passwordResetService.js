@@ -0,0 +1,94 @@
+import crypto from "crypto";
+import prisma from "../config/db.js";
+import { hashPassword } from "../utils/hash.js";
+import { sendTemplateEmail } from "../utils/email.js";
+import { hashToken, revokeAllSessions } from "./tokenService.js";
+
+const RESET_TOKEN_TTL_MINUTES = Number(
+  process.env.PASSWORD_RESET_TTL_MINUTES || 30
+);
+
+// create a single-use reset token and email it (silently no-op for unknown emails)
+const requestPasswordReset = async (email) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, email: true, locale: true },
+    });
+
+    if (!user) {
+      return;
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+    // only the latest reset link should work
+    await prisma.$transaction([
+      prisma.passwordResetToken.updateMany({
+        where: { userId: user.id, usedAt: null },
+        data: { usedAt: new Date() },
+      }),
+      prisma.passwordResetToken.create({
+        data: { userId: user.id, tokenHash: hashToken(token), expiresAt },
+      }),
+    ]);
+
+    const baseUrl = process.env.APP_URL || "http://localhost:3000";
+    const link = `${baseUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    await sendTemplateEmail(
+      user.email,
+      "password_reset",
+      { link, expiresInMinutes: RESET_TOKEN_TTL_MINUTES },
+      user.locale
+    );
+  } catch (error) {
+    console.error("Request Password Reset Error:", error.message);
+    throw error;
+  }
+};
+
+// consume a reset token, set the new password and log out every session
+const resetPassword = async (token, newPassword) => {
+  try {
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      select: { id: true, userId: true, expiresAt: true, usedAt: true },
+    });
+
+    if (
+      !resetToken ||
+      resetToken.usedAt ||
+      resetToken.expiresAt < new Date()
+    ) {
+      throw new Error("Invalid or expired reset token");
+    }
+
+    const hashedPassword = await hashPassword(newPassword);
+
+    await prisma.$transaction(async (tx) => {
+      // claim the token so it cannot be replayed concurrently
+      const claimed = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+
+      if (claimed.count === 0) {
+        throw new Error("Invalid or expired reset token");
+      }
+
+      await tx.user.update({
+        where: { id: resetToken.userId },
+        data: { password: hashedPassword },
+      });
+    });
+
+    await revokeAllSessions(resetToken.userId, "PASSWORD_RESET");
+  } catch (error) {
+    console.error("Reset Password Error:", error.message);
+    throw error;
+  }
+};
+
+export { requestPasswordReset, resetPassword };
@@ -0,0 +1,26 @@
+import mockProvider from "./mockProvider.js";
+
+// Payout providers implement:
+//   name: string
+//   initiatePayout({ reference, amount, currency, bankAccount })
+//     -> { providerReference, status: "PENDING" | "SUCCESS" | "FAILED", failureReason? }
+//   verifyWebhook(req) -> boolean (checks the callback really came from the provider)
+//   parseWebhook(body) -> { providerReference, status: "SUCCESS" | "FAILED", failureReason? }
+const providers = {
+  mock: mockProvider,
+};
+
+// The mock provider confirms payouts on its own say-so, so it never runs in
+// production (a deployment that forgot PAYOUT_PROVIDER must not fall back to
+// it); payouts are then unavailable while the rest of the app keeps running
+const getPayoutProvider = (name = process.env.PAYOUT_PROVIDER || "mock") => {
+  if (!Object.hasOwn(providers, name)) {
+    throw new Error(`Unknown payout provider: ${name}`);
+  }
+  if (name === "mock" && process.env.NODE_ENV === "production") {
+    throw new Error("Payouts are not available");
+  }
+  return providers[name];
+};
+
+export { getPayoutProvider };
@@ -0,0 +1,93 @@
+import crypto from "crypto";
+import { randomUUID } from "crypto";
+
+// Local payout provider for development and tests.
+// MOCK_PAYOUT_MODE:
+//   success         - payout succeeds immediately
+//   failure         - payout fails immediately
+//   delayed         - payout is accepted, then a signed success callback is
+//                     sent to our webhook after MOCK_PAYOUT_DELAY_MS
+//   delayed_failure - same, but the callback reports a failure
+const MODE = (process.env.MOCK_PAYOUT_MODE || "delayed").toLowerCase();
+const DELAY_MS = Number(process.env.MOCK_PAYOUT_DELAY_MS || 3000);
+// without a configured secret, a random one per process: the mock only calls
+// itself back, and nobody else can sign a callback it would accept
+const WEBHOOK_SECRET =
+  process.env.PAYOUT_WEBHOOK_SECRET || crypto.randomBytes(32).toString("hex");
+
+const sign = (payload) =>
+  crypto.createHmac("sha256", WEBHOOK_SECRET).update(payload).digest("hex");
+
+const callbackUrl = () =>
+  process.env.PAYOUT_CALLBACK_URL ||
+  `http://localhost:${process.env.PORT || 3000}/api/webhooks/payouts/mock`;
+
+// simulate the provider calling us back
+const scheduleCallback = (providerReference, status) => {
+  const timer = setTimeout(async () => {
+    const payload = JSON.stringify({
+      providerReference,
+      status,
+      failureReason: status === "FAILED" ? "Mock bank rejected payout" : null,
+    });
+
+    try {
+      const res = await fetch(callbackUrl(), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "x-mock-signature": sign(payload),
+        },
+        body: payload,
+      });
+      console.log(`Mock payout callback ${providerReference}: ${res.status}`);
+    } catch (err) {
+      console.error("Mock payout callback error:", err.message);
+    }
+  }, DELAY_MS);
+  timer.unref();
+};
+
+const initiatePayout = async ({ reference, amount, currency, bankAccount }) => {
+  const providerReference = `MOCK-${randomUUID()}`;
+  console.log(
+    `Mock payout ${reference}: ${amount} ${currency} to ${bankAccount.bankCode}/${bankAccount.accountNumber} (mode=${MODE})`
+  );
+
+  switch (MODE) {
+    case "success":
+      return { providerReference, status: "SUCCESS" };
+    case "failure":
+      return {
+        providerReference,
+        status: "FAILED",
+        failureReason: "Mock bank rejected payout",
+      };
+    case "delayed_failure":
+      scheduleCallback(providerReference, "FAILED");
+      return { providerReference, status: "PENDING" };
+    default:
+      scheduleCallback(providerReference, "SUCCESS");
+      return { providerReference, status: "PENDING" };
+  }
+};
+
+const verifyWebhook = (req) => {
+  const signature = req.headers["x-mock-signature"];
+  if (!signature || !req.rawBody) return false;
+
+  const expected = Buffer.from(sign(req.rawBody));
+  const received = Buffer.from(String(signature));
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+const parseWebhook = (body) => ({
+  providerReference: body.providerReference,
+  status: body.status,
+  failureReason: body.failureReason || null,
+});
+
+export default { name: "mock", initiatePayout, verifyWebhook, parseWebhook };
@@ -0,0 +1,324 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import prisma from "../config/db.js";
+import { hashPassword, verifyPassword } from "../utils/hash.js";
+import { sendTemplateEmail } from "../utils/email.js";
+import { enqueueJob } from "./jobService.js";
+
+// wrong PINs allowed before the PIN locks
+const PIN_MAX_ATTEMPTS = Number(process.env.PIN_MAX_ATTEMPTS || 5);
+// first lock lasts this long; every further lock doubles it (up to the max)
+const PIN_LOCK_BASE_MINUTES = Number(process.env.PIN_LOCK_BASE_MINUTES || 15);
+const PIN_LOCK_MAX_MINUTES = Number(process.env.PIN_LOCK_MAX_MINUTES || 1440);
+// PIN reset: emailed code lifetime/attempts and the donation cooling-off after
+const PIN_RESET_CODE_TTL_MINUTES = Number(
+  process.env.PIN_RESET_CODE_TTL_MINUTES || 10
+);
+const PIN_RESET_CODE_MAX_ATTEMPTS = 5;
+const PIN_RESET_COOLING_OFF_HOURS = Number(
+  process.env.PIN_RESET_COOLING_OFF_HOURS || 24
+);
+
+const lockDurationMs = (lockCount) =>
+  Math.min(
+    PIN_LOCK_BASE_MINUTES * 2 ** Math.max(lockCount - 1, 0),
+    PIN_LOCK_MAX_MINUTES
+  ) *
+  60 *
+  1000;
+
+const pinLockedError = (lockedUntil) => {
+  const error = new Error("Transaction PIN locked");
+  error.lockedUntil = lockedUntil;
+  return error;
+};
+
+const pinLockedEmail = (user, lockedUntil) => ({
+  to: user.email,
+  template: "pin_locked",
+  variables: { lockedUntil: lockedUntil.toISOString() },
+  locale: user.locale,
+});
+
+// queue the "your PIN was changed" notice (inside the change's transaction)
+const notifyPinChanged = async (tx, userId, changedAt) => {
+  const user = await tx.user.findUnique({
+    where: { id: userId },
+    select: { email: true, locale: true },
+  });
+
+  await enqueueJob(tx, "email.send", {
+    to: user.email,
+    template: "pin_changed",
+    variables: { changedAt: changedAt.toISOString() },
+    locale: user.locale,
+  });
+};
+
+// Take one attempt off the allowance before the PIN is compared, so parallel
+// requests cannot all test a guess against the same remaining count. Fails
+// (count 0) while the PIN is locked or its last attempts are in use.
+const claimPinAttempt = (userId) =>
+  prisma.transactionPin.updateMany({
+    where: {
+      userId,
+      failedAttempts: { lt: PIN_MAX_ATTEMPTS },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lte: new Date() } }],
+    },
+    data: { failedAttempts: { increment: 1 } },
+  });
+
+// record a wrong PIN (already counted by claimPinAttempt) and lock the PIN
+// once the limit is reached
+const registerFailedAttempt = async (userId, user) => {
+  // kept after a correct PIN resets the counter (see the PIN_FAILURES risk rule)
+  await prisma.pinFailure.create({ data: { userId } });
+
+  const current = await prisma.transactionPin.findUnique({
+    where: { userId },
+    select: { failedAttempts: true, lockCount: true },
+  });
+
+  if (current.failedAttempts < PIN_MAX_ATTEMPTS) {
+    return { attemptsRemaining: PIN_MAX_ATTEMPTS - current.failedAttempts };
+  }
+
+  const lockedUntil = new Date(
+    Date.now() + lockDurationMs(current.lockCount + 1)
+  );
+
+  // conditional update so concurrent failures only lock (and email) once
+  const locked = await prisma.$transaction(async (tx) => {
+    const result = await tx.transactionPin.updateMany({
+      where: { userId, failedAttempts: { gte: PIN_MAX_ATTEMPTS } },
+      data: {
+        failedAttempts: 0,
+        lockCount: { increment: 1 },
+        lockedUntil,
+      },
+    });
+
+    if (result.count > 0) {
+      await enqueueJob(tx, "email.send", pinLockedEmail(user, lockedUntil));
+    }
+
+    return result;
+  });
+
+  if (locked.count > 0) {
+    console.warn(
+      `PIN Locked: User ${userId} until ${lockedUntil.toISOString()}`
+    );
+  }
+
+  // another request may have set the lock first: report the stored one
+  const stored = await prisma.transactionPin.findUnique({
+    where: { userId },
+    select: { lockedUntil: true },
+  });
+
+  return { lockedUntil: stored.lockedUntil };
+};
+
+// verify a user's transaction PIN, counting failures towards a lockout
+const verifyTransactionPin = async (userId, pin) => {
+  const transactionPin = await prisma.transactionPin.findUnique({
+    where: { userId },
+    include: { user: { select: { email: true, locale: true } } },
+  });
+
+  if (!transactionPin) {
+    throw new Error("Transaction PIN not set");
+  }
+
+  const claimed = await claimPinAttempt(userId);
+
+  if (claimed.count === 0) {
+    const current = await prisma.transactionPin.findUnique({
+      where: { userId },
+      select: { lockedUntil: true },
+    });
+    throw pinLockedError(current.lockedUntil);
+  }
+
+  const isPinValid = await verifyPassword(
+    String(pin ?? ""),
+    transactionPin.pinHash
+  );
+
+  if (!isPinValid) {
+    const { attemptsRemaining, lockedUntil } = await registerFailedAttempt(
+      userId,
+      transactionPin.user
+    );
+
+    if (lockedUntil) {
+      throw pinLockedError(lockedUntil);
+    }
+
+    const error = new Error("Invalid transaction PIN");
+    error.attemptsRemaining = attemptsRemaining;
+    throw error;
+  }
+
+  // a correct PIN gives back this attempt and clears earlier failures
+  await prisma.transactionPin.update({
+    where: { userId },
+    data: { failedAttempts: 0, lockCount: 0, lockedUntil: null },
+  });
+
+  return transactionPin;
+};
+
+// end of the post-reset cooling-off period, or null if not cooling off
+const getCoolingOffUntil = (transactionPin) => {
+  if (!transactionPin?.resetAt) return null;
+
+  const until = new Date(
+    transactionPin.resetAt.getTime() +
+      PIN_RESET_COOLING_OFF_HOURS * 60 * 60 * 1000
+  );
+  return until > new Date() ? until : null;
+};
+
+// step 1: confirm the account password and email a one-time code
+const requestPinReset = async (userId, password) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        email: true,
+        locale: true,
+        password: true,
+        transactionPin: { select: { id: true } },
+      },
+    });
+
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    if (!user.transactionPin) {
+      throw new Error("Transaction PIN not set");
+    }
+
+    const isPasswordValid = await verifyPassword(password, user.password);
+
+    if (!isPasswordValid) {
+      throw new Error("Password is incorrect");
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+    const expiresAt = new Date(
+      Date.now() + PIN_RESET_CODE_TTL_MINUTES * 60 * 1000
+    );
+
+    // only the latest code should work
+    await prisma.$transaction([
+      prisma.pinResetCode.updateMany({
+        where: { userId, usedAt: null },
+        data: { usedAt: new Date() },
+      }),
+      prisma.pinResetCode.create({
+        data: { userId, codeHash: await hashPassword(code), expiresAt },
+      }),
+    ]);
+
+    await sendTemplateEmail(
+      user.email,
+      "pin_reset_code",
+      {
+        code,
+        expiresInMinutes: PIN_RESET_CODE_TTL_MINUTES,
+        coolingOffHours: PIN_RESET_COOLING_OFF_HOURS,
+      },
+      user.locale
+    );
+
+    return { expiresAt };
+  } catch (error) {
+    console.error("Request PIN Reset Error:", error.message);
+    throw error;
+  }
+};
+
+// step 2: check the code and set the new PIN
+const confirmPinReset = async (userId, code, newPin) => {
+  try {
+    const resetCode = await prisma.pinResetCode.findFirst({
+      where: { userId, usedAt: null, expiresAt: { gt: new Date() } },
+      orderBy: { createdAt: "desc" },
+    });
+
+    if (!resetCode) {
+      throw new Error("Invalid or expired reset code");
+    }
+
+    // claim an attempt before comparing, so parallel guesses cannot go past
+    // PIN_RESET_CODE_MAX_ATTEMPTS
+    const attempt = await prisma.pinResetCode.updateMany({
+      where: {
+        id: resetCode.id,
+        usedAt: null,
+        attempts: { lt: PIN_RESET_CODE_MAX_ATTEMPTS },
+      },
+      data: { attempts: { increment: 1 } },
+    });
+
+    if (attempt.count === 0) {
+      throw new Error("Invalid or expired reset code");
+    }
+
+    const isCodeValid = await verifyPassword(String(code), resetCode.codeHash);
+
+    if (!isCodeValid) {
+      throw new Error("Invalid or expired reset code");
+    }
+
+    const hashedPin = await bcrypt.hash(newPin, 10);
+    const resetAt = new Date();
+
+    await prisma.$transaction(async (tx) => {
+      // claim the code so it cannot be replayed concurrently
+      const claimed = await tx.pinResetCode.updateMany({
+        where: { id: resetCode.id, usedAt: null },
+        data: { usedAt: resetAt },
+      });
+
+      if (claimed.count === 0) {
+        throw new Error("Invalid or expired reset code");
+      }
+
+      // a reset also clears any lockout
+      await tx.transactionPin.update({
+        where: { userId },
+        data: {
+          pinHash: hashedPin,
+          failedAttempts: 0,
+          lockCount: 0,
+          lockedUntil: null,
+          resetAt,
+        },
+      });
+
+      await notifyPinChanged(tx, userId, resetAt);
+    });
+
+    return {
+      resetAt,
+      coolingOffUntil: getCoolingOffUntil({ resetAt }),
+    };
+  } catch (error) {
+    console.error("Confirm PIN Reset Error:", error.message);
+    throw error;
+  }
+};
+
+export {
+  verifyTransactionPin,
+  notifyPinChanged,
+  getCoolingOffUntil,
+  requestPinReset,
+  confirmPinReset,
+};
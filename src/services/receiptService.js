@@ -0,0 +1,133 @@
+import crypto from "crypto";
+import prisma from "../config/db.js";
+import { getSingleDonation } from "./donationService.js";
+
+// signs receipts; rotating it invalidates every receipt already issued
+const RECEIPT_SECRET =
+  process.env.RECEIPT_SECRET || process.env.JWT_SECRET || "test_secret_key";
+
+// FMR-<year>-<donation id>, e.g. FMR-2026-00000042 (one per donation)
+const RECEIPT_NUMBER_PATTERN = /^FMR-(\d{4})-(\d{8,10})$/;
+
+const receiptNumberFor = (donation) =>
+  `FMR-${donation.createdAt.getUTCFullYear()}-${String(donation.id).padStart(
+    8,
+    "0"
+  )}`;
+
+// HMAC over the fields a receipt vouches for. Names, emails and reversals are
+// left out: they can change (or be hidden from the viewer) after issue.
+const receiptHashFor = (donation) =>
+  crypto
+    .createHmac("sha256", RECEIPT_SECRET)
+    .update(
+      [
+        receiptNumberFor(donation),
+        donation.senderId,
+        donation.receiverId,
+        donation.amount.toString(),
+        donation.currency,
+        donation.receivedAmount.toString(),
+        donation.receivedCurrency,
+        donation.createdAt.toISOString(),
+      ].join("|")
+    )
+    .digest("hex")
+    .slice(0, 32);
+
+const verifyUrlFor = (receiptNumber, hash) => {
+  const baseUrl = process.env.APP_URL || "http://localhost:3000";
+  return `${baseUrl}/api/donations/receipts/verify?number=${receiptNumber}&hash=${hash}`;
+};
+
+// receipt for one donation, as the viewer is allowed to see it (same access
+// rules and anonymous-donor masking as getSingleDonation)
+const getDonationReceipt = async (donationId, userId) => {
+  try {
+    const visible = await getSingleDonation(donationId, userId);
+
+    // the hash is computed from the full record, not the masked one
+    const donation = await prisma.donation.findUnique({
+      where: { id: donationId },
+      include: { campaign: { select: { id: true, title: true } } },
+    });
+
+    // the viewer's own side of the donation (admins get the sender's)
+    const ownTransaction =
+      visible.transactions.find(
+        (t) =>
+          t.userId === userId &&
+          ["DONATION_DEBIT", "DONATION_CREDIT"].includes(t.type)
+      ) || visible.transactions.find((t) => t.type === "DONATION_DEBIT");
+
+    const receiptNumber = receiptNumberFor(donation);
+    const verificationHash = receiptHashFor(donation);
+
+    return {
+      receiptNumber,
+      verificationHash,
+      verifyUrl: verifyUrlFor(receiptNumber, verificationHash),
+      issuedAt: new Date(),
+      donationId: donation.id,
+      date: donation.createdAt,
+      amount: donation.amount,
+      currency: donation.currency,
+      receivedAmount: donation.receivedAmount,
+      receivedCurrency: donation.receivedCurrency,
+      exchangeRate: donation.exchangeRate,
+      reversedAmount: donation.reversedAmount,
+      reference: ownTransaction?.reference || null,
+      campaign: donation.campaign,
+      message: donation.message,
+      donor: { name: visible.sender.name, email: visible.sender.email },
+      receiver: { name: visible.receiver.name, email: visible.receiver.email },
+    };
+  } catch (error) {
+    console.error("Get Donation Receipt Error:", error.message);
+    throw error;
+  }
+};
+
+// Public check that a receipt number and hash were issued by us. Only says
+// what the receipt vouches for; never who the donor or receiver are.
+const verifyReceipt = async (receiptNumber, hash) => {
+  try {
+    const match = RECEIPT_NUMBER_PATTERN.exec(String(receiptNumber));
+    const donationId = match ? parseInt(match[2], 10) : NaN;
+
+    // ids are 32-bit integers in the database
+    if (!(donationId > 0 && donationId <= 2147483647)) return { valid: false };
+
+    const donation = await prisma.donation.findUnique({
+      where: { id: donationId },
+    });
+
+    if (!donation || receiptNumberFor(donation) !== receiptNumber) {
+      return { valid: false };
+    }
+
+    const expected = Buffer.from(receiptHashFor(donation));
+    const given = Buffer.from(String(hash).toLowerCase());
+
+    if (
+      expected.length !== given.length ||
+      !crypto.timingSafeEqual(expected, given)
+    ) {
+      return { valid: false };
+    }
+
+    return {
+      valid: true,
+      receiptNumber,
+      date: donation.createdAt,
+      amount: donation.amount,
+      currency: donation.currency,
+      reversedAmount: donation.reversedAmount,
+    };
+  } catch (error) {
+    console.error("Verify Receipt Error:", error.message);
+    throw error;
+  }
+};
+
+export { getDonationReceipt, verifyReceipt };
@@ -0,0 +1,407 @@
+import prisma from "../config/db.js";
+import { createDonation } from "./donationService.js";
+import { enqueueJob } from "./jobService.js";
+import { nextCronRun } from "../utils/cron.js";
+import { normalizeCurrency, parseAmount } from "../config/currencies.js";
+import { findPage } from "../utils/pagination.js";
+
+const SCHEDULES = ["DAILY", "WEEKLY", "MONTHLY", "CRON"];
+
+const SCHEDULER_INTERVAL_MS = Number(
+  process.env.RECURRING_DONATIONS_INTERVAL_MS || 60 * 1000
+);
+const SCHEDULER_BATCH_SIZE = Number(
+  process.env.RECURRING_DONATIONS_BATCH_SIZE || 50
+);
+// an occurrence that keeps hitting unexpected errors is retried with
+// exponential backoff, then recorded as failed so the instruction moves on
+const RUN_MAX_RETRIES = 5;
+const RUN_RETRY_BASE_MS = 60 * 1000;
+const RUN_RETRY_MAX_MS = 60 * 60 * 1000;
+const RUN_RETRIES_EXHAUSTED = "Donation could not be processed";
+
+// createDonation errors that mean "this run cannot succeed": recorded as a
+// failed run and skipped. Anything else is retried (see RUN_MAX_RETRIES).
+const RUN_FAILURES = [
+  "Insufficient funds in wallet",
+  "sender or receiver does not exist",
+  "Sender wallet not found",
+  "Receiver wallet not found",
+  "Receiver has no wallet in this currency",
+  "Exchange rate not available",
+  "Donation amount is too small to convert",
+  "Donation limit exceeded",
+  "Donation blocked by risk checks",
+];
+
+// same day of month as `start`, `months` later (clamped to the month's last day)
+const addMonths = (start, months) => {
+  const date = new Date(start);
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date;
+};
+
+// the occurrence after run number `runCount` (runs are counted from startAt)
+const nextOccurrence = (instruction, runCount) => {
+  const { schedule, startAt, nextRunAt } = instruction;
+
+  switch (schedule) {
+    case "DAILY":
+      return new Date(startAt.getTime() + runCount * 24 * 60 * 60 * 1000);
+    case "WEEKLY":
+      return new Date(startAt.getTime() + runCount * 7 * 24 * 60 * 60 * 1000);
+    case "MONTHLY":
+      return addMonths(startAt, runCount);
+    case "CRON":
+      return nextCronRun(instruction.cron, nextRunAt);
+    default:
+      throw new Error("Invalid schedule");
+  }
+};
+
+const isFinished = (instruction, runCount, nextRunAt) =>
+  (instruction.maxRuns && runCount >= instruction.maxRuns) ||
+  (instruction.endsAt && nextRunAt > instruction.endsAt);
+
+const createRecurringDonation = async (
+  userId,
+  { receiverId, amount, currency, schedule, cron, startAt, endsAt, maxRuns }
+) => {
+  try {
+    const instructionCurrency = normalizeCurrency(currency);
+    const decimalAmount = parseAmount(amount, instructionCurrency);
+
+    if (decimalAmount.isNaN() || decimalAmount.lte(0)) {
+      throw new Error("Donation amount must be greater than zero");
+    }
+
+    if (userId === receiverId) {
+      throw new Error("Cannot donate to yourself");
+    }
+
+    const frequency = String(schedule || "").toUpperCase();
+    if (!SCHEDULES.includes(frequency)) {
+      throw new Error("Invalid schedule");
+    }
+
+    const start = startAt ? new Date(startAt) : new Date();
+    const end = endsAt ? new Date(endsAt) : null;
+
+    if (isNaN(start) || (end && isNaN(end))) {
+      throw new Error("Invalid date format");
+    }
+
+    if (maxRuns !== undefined && maxRuns !== null) {
+      if (!Number.isInteger(maxRuns) || maxRuns < 1) {
+        throw new Error("maxRuns must be a positive whole number");
+      }
+    }
+
+    // a cron schedule first fires at its first match from the start date
+    const firstRun =
+      frequency === "CRON"
+        ? nextCronRun(cron, new Date(start.getTime() - 60 * 1000))
+        : start;
+
+    if (end && end < firstRun) {
+      throw new Error("endsAt must be after the first run");
+    }
+
+    const receiver = await prisma.user.findUnique({
+      where: { id: receiverId },
+      select: { id: true },
+    });
+
+    if (!receiver) {
+      throw new Error("sender or receiver does not exist");
+    }
+
+    return await prisma.recurringDonation.create({
+      data: {
+        userId,
+        receiverId,
+        amount: decimalAmount,
+        currency: instructionCurrency,
+        schedule: frequency,
+        cron: frequency === "CRON" ? cron : null,
+        startAt: firstRun,
+        nextRunAt: firstRun,
+        endsAt: end,
+        maxRuns: maxRuns || null,
+      },
+    });
+  } catch (error) {
+    console.error("Create Recurring Donation Error:", error.message);
+    throw error;
+  }
+};
+
+const listRecurringDonations = async (userId, pagination) => {
+  try {
+    return await findPage(
+      prisma.recurringDonation,
+      {
+        where: { userId },
+        include: { receiver: { select: { id: true, name: true } } },
+      },
+      pagination
+    );
+  } catch (error) {
+    console.error("List Recurring Donations Error:", error.message);
+    throw error;
+  }
+};
+
+const getRecurringDonation = async (id, userId) => {
+  try {
+    const instruction = await prisma.recurringDonation.findUnique({
+      where: { id },
+      include: {
+        receiver: { select: { id: true, name: true } },
+        runs: { orderBy: { scheduledFor: "desc" }, take: 20 },
+      },
+    });
+
+    if (!instruction) {
+      throw new Error("Recurring donation not found");
+    }
+
+    if (instruction.userId !== userId) {
+      throw new Error("Access denied to this recurring donation");
+    }
+
+    return instruction;
+  } catch (error) {
+    console.error("Get Recurring Donation Error:", error.message);
+    throw error;
+  }
+};
+
+// ACTIVE <-> PAUSED, anything not finished -> CANCELLED
+const TRANSITIONS = {
+  PAUSED: ["ACTIVE"],
+  ACTIVE: ["PAUSED"],
+  CANCELLED: ["ACTIVE", "PAUSED"],
+};
+
+const setRecurringDonationStatus = async (id, userId, status) => {
+  try {
+    const instruction = await getRecurringDonation(id, userId);
+
+    if (!TRANSITIONS[status].includes(instruction.status)) {
+      throw new Error("Invalid recurring donation status change");
+    }
+
+    const data = { status, retryCount: 0, retryAt: null };
+
+    // resuming skips the runs missed while paused
+    if (status === "ACTIVE") {
+      let { nextRunAt, runCount } = instruction;
+      const now = new Date();
+      while (nextRunAt <= now) {
+        runCount += 1;
+        nextRunAt = nextOccurrence({ ...instruction, nextRunAt }, runCount);
+      }
+      data.nextRunAt = nextRunAt;
+      data.runCount = runCount;
+      if (isFinished(instruction, runCount, nextRunAt)) {
+        data.status = "COMPLETED";
+      }
+    }
+
+    const updated = await prisma.recurringDonation.updateMany({
+      where: { id, status: instruction.status },
+      data,
+    });
+
+    if (updated.count === 0) {
+      throw new Error("Recurring donation was modified, please retry");
+    }
+
+    return await prisma.recurringDonation.findUnique({ where: { id } });
+  } catch (error) {
+    console.error("Update Recurring Donation Error:", error.message);
+    throw error;
+  }
+};
+
+// queue the "scheduled donation missed" email (inside the run's transaction)
+const notifyFailedRun = async (tx, instruction, reason) => {
+  const user = await tx.user.findUnique({
+    where: { id: instruction.userId },
+    select: { email: true, name: true, locale: true },
+  });
+
+  await enqueueJob(tx, "email.send", {
+    to: user.email,
+    template: "recurring_donation_failed",
+    variables: {
+      name: user.name,
+      amount: instruction.amount.toString(),
+      currency: instruction.currency,
+      reason,
+    },
+    locale: user.locale,
+  });
+};
+
+// Run one due occurrence. The idempotency key is derived from the instruction
+// and the occurrence, so a run repeated after a crash or restart returns the
+// original donation instead of charging again.
+const runRecurringDonation = async (instruction) => {
+  const scheduledFor = instruction.nextRunAt;
+  const idempotencyKey = `recurring-${
+    instruction.id
+  }-${scheduledFor.toISOString()}`;
+
+  let run = { status: "COMPLETED", transactionId: null, failureReason: null };
+  try {
+    const transaction = await createDonation(
+      instruction.userId,
+      instruction.receiverId,
+      instruction.amount,
+      idempotencyKey,
+      instruction.currency
+    );
+    run.transactionId = transaction.id;
+    // held by the risk checks: settled when an admin reviews it
+    if (transaction.status === "PENDING") {
+      run.status = "HELD";
+    }
+  } catch (error) {
+    const retryCount = instruction.retryCount + 1;
+
+    if (!RUN_FAILURES.includes(error.message) && retryCount < RUN_MAX_RETRIES) {
+      // transient (e.g. database) error: retry the same occurrence later, out
+      // of the way of other due instructions
+      const delay = Math.min(
+        RUN_RETRY_BASE_MS * 2 ** (retryCount - 1),
+        RUN_RETRY_MAX_MS
+      );
+      await prisma.recurringDonation.updateMany({
+        where: { id: instruction.id, nextRunAt: scheduledFor },
+        data: { retryCount, retryAt: new Date(Date.now() + delay) },
+      });
+      throw error;
+    }
+
+    run = {
+      status: "FAILED",
+      transactionId: null,
+      failureReason: RUN_FAILURES.includes(error.message)
+        ? error.message
+        : RUN_RETRIES_EXHAUSTED,
+    };
+  }
+
+  const runCount = instruction.runCount + 1;
+  const nextRunAt = nextOccurrence(instruction, runCount);
+
+  return prisma.$transaction(async (tx) => {
+    const recorded = await tx.recurringDonationRun.upsert({
+      where: {
+        recurringDonationId_scheduledFor: {
+          recurringDonationId: instruction.id,
+          scheduledFor,
+        },
+      },
+      update: {},
+      create: { recurringDonationId: instruction.id, scheduledFor, ...run },
+    });
+
+    // only advance if no other worker already did
+    const advanced = await tx.recurringDonation.updateMany({
+      where: { id: instruction.id, nextRunAt: scheduledFor, status: "ACTIVE" },
+      data: {
+        runCount,
+        nextRunAt,
+        retryCount: 0,
+        retryAt: null,
+        ...(isFinished(instruction, runCount, nextRunAt)
+          ? { status: "COMPLETED" }
+          : {}),
+      },
+    });
+
+    if (run.status === "FAILED" && advanced.count > 0) {
+      await notifyFailedRun(tx, instruction, run.failureReason);
+    }
+
+    return recorded;
+  });
+};
+
+// process every instruction that is due (one occurrence each per call)
+const runDueRecurringDonations = async (now = new Date()) => {
+  const due = await prisma.recurringDonation.findMany({
+    where: {
+      status: "ACTIVE",
+      nextRunAt: { lte: now },
+      OR: [{ retryAt: null }, { retryAt: { lte: now } }],
+    },
+    orderBy: { nextRunAt: "asc" },
+    take: SCHEDULER_BATCH_SIZE,
+  });
+
+  for (const instruction of due) {
+    try {
+      const run = await runRecurringDonation(instruction);
+      console.info(
+        `Recurring Donation: #${
+          instruction.id
+        } run for ${run.scheduledFor.toISOString()} ${run.status}`
+      );
+    } catch (error) {
+      console.error(
+        `Recurring Donation Error: #${instruction.id}:`,
+        error.message
+      );
+    }
+  }
+
+  return due.length;
+};
+
+let schedulerTimer = null;
+let schedulerBusy = false;
+
+// in-app scheduler: checks for due instructions every interval
+const startRecurringDonationScheduler = () => {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(async () => {
+    if (schedulerBusy) return;
+    schedulerBusy = true;
+    try {
+      await runDueRecurringDonations();
+    } catch (error) {
+      console.error("Recurring Donation Scheduler Error:", error.message);
+    } finally {
+      schedulerBusy = false;
+    }
+  }, SCHEDULER_INTERVAL_MS);
+
+  // never keep the process alive just for the scheduler
+  schedulerTimer.unref();
+};
+
+const stopRecurringDonationScheduler = () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+export {
+  createRecurringDonation,
+  listRecurringDonations,
+  getRecurringDonation,
+  setRecurringDonationStatus,
+  runDueRecurringDonations,
+  startRecurringDonationScheduler,
+  stopRecurringDonationScheduler,
+};
@@ -0,0 +1,292 @@
+import prisma from "../config/db.js";
+import { Decimal } from "@prisma/client/runtime/library.js";
+import { transferLines, postEntry } from "./ledgerService.js";
+import { findIdempotentTransaction } from "./idempotencyService.js";
+import { generateReference } from "../utils/reference.js";
+import { parseAmount, roundAmount } from "../config/currencies.js";
+import {
+  donationEventData,
+  queueWebhookEvents,
+  triggerWebhookDispatch,
+} from "./webhookService.js";
+
+// receivers may refund a donation themselves within this window; admins any time
+const REVERSAL_WINDOW_HOURS = Number(process.env.REVERSAL_WINDOW_HOURS || 72);
+
+// part of what the receiver got that corresponds to `sent` of the donation,
+// at the donation's original rate (sums to receivedAmount at a full reversal)
+const receivedShare = (donation, sent) =>
+  roundAmount(
+    new Decimal(donation.receivedAmount).times(sent).dividedBy(donation.amount),
+    donation.receivedCurrency
+  );
+
+// reverse a donation in full (no amount) or in part; `amount` is in the
+// donation (sender) currency
+const reverseDonation = async ({
+  donationId,
+  actorId,
+  amount,
+  reason,
+  idempotencyKey,
+}) => {
+  try {
+    const [actor, donation] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: actorId },
+        select: { id: true, role: true },
+      }),
+      prisma.donation.findUnique({
+        where: { id: donationId },
+        include: {
+          transactions: {
+            where: { type: { in: ["DONATION_DEBIT", "DONATION_CREDIT"] } },
+          },
+        },
+      }),
+    ]);
+
+    if (!donation) {
+      throw new Error("Donation not found");
+    }
+
+    const isAdmin = actor?.role === "ADMIN";
+
+    if (!isAdmin && donation.receiverId !== actorId) {
+      throw new Error("Access denied to this donation");
+    }
+
+    // Check idempotency (the reversal debit belongs to the receiver)
+    const existing = await findIdempotentTransaction(
+      idempotencyKey,
+      donation.receiverId,
+      "REVERSAL_DEBIT"
+    );
+
+    if (existing) {
+      if (existing.donationId !== donation.id) {
+        throw new Error("Idempotency key already used");
+      }
+      return existing;
+    }
+
+    if (!isAdmin) {
+      const windowEnds = new Date(
+        donation.createdAt.getTime() + REVERSAL_WINDOW_HOURS * 60 * 60 * 1000
+      );
+      if (new Date() > windowEnds) {
+        throw new Error("Reversal window has passed");
+      }
+    }
+
+    const donationAmount = new Decimal(donation.amount);
+    const alreadyReversed = new Decimal(donation.reversedAmount);
+    const remaining = donationAmount.minus(alreadyReversed);
+
+    if (remaining.lte(0)) {
+      throw new Error("Donation already fully reversed");
+    }
+
+    const reversalAmount =
+      amount === undefined || amount === null
+        ? remaining
+        : parseAmount(amount, donation.currency);
+
+    if (reversalAmount.isNaN() || reversalAmount.lte(0)) {
+      throw new Error("Reversal amount must be greater than zero");
+    }
+
+    if (reversalAmount.gt(remaining)) {
+      throw new Error("Reversal amount exceeds remaining donation amount");
+    }
+
+    const newReversed = alreadyReversed.plus(reversalAmount);
+    const receiverDebit = receivedShare(donation, newReversed).minus(
+      receivedShare(donation, alreadyReversed)
+    );
+
+    if (receiverDebit.lte(0)) {
+      throw new Error("Reversal amount is too small to convert");
+    }
+
+    const [senderWallet, receiverWallet] = await Promise.all([
+      prisma.wallet.findUnique({
+        where: {
+          userId_currency: {
+            userId: donation.senderId,
+            currency: donation.currency,
+          },
+        },
+        select: { id: true, currency: true },
+      }),
+      prisma.wallet.findUnique({
+        where: {
+          userId_currency: {
+            userId: donation.receiverId,
+            currency: donation.receivedCurrency,
+          },
+        },
+        select: { id: true, currency: true },
+      }),
+    ]);
+
+    if (!senderWallet || !receiverWallet) {
+      throw new Error("Wallet not found");
+    }
+    const newStatus = newReversed.eq(donationAmount)
+      ? "REVERSED"
+      : "PARTIALLY_REVERSED";
+    const original = donation.transactions.find(
+      (t) => t.type === "DONATION_DEBIT"
+    );
+    const description = reason
+      ? `Reversal of donation #${donation.id}: ${reason}`
+      : `Reversal of donation #${donation.id}`;
+
+    try {
+      const reversalRecord = await prisma.$transaction(
+        async (tx) => {
+          // optimistic check: fails if another reversal landed in between
+          const claimed = await tx.donation.updateMany({
+            where: { id: donation.id, reversedAmount: alreadyReversed },
+            data: {
+              reversedAmount: newReversed,
+              receivedReversedAmount: { increment: receiverDebit },
+            },
+          });
+
+          if (claimed.count === 0) {
+            throw new Error("Donation was modified, please retry");
+          }
+
+          // campaign progress is net of reversals
+          if (donation.campaignId) {
+            await tx.campaign.update({
+              where: { id: donation.campaignId },
+              data: { raisedAmount: { decrement: receiverDebit } },
+            });
+          }
+
+          const reversalRecord = await tx.transaction.create({
+            data: {
+              userId: donation.receiverId,
+              donationId: donation.id,
+              reversalOfId: original?.id,
+              amount: receiverDebit,
+              currency: donation.receivedCurrency,
+              exchangeRate: donation.exchangeRate,
+              type: "REVERSAL_DEBIT",
+              status: "COMPLETED",
+              reference: generateReference("REV"),
+              description,
+              idempotencyKey,
+            },
+          });
+
+          await tx.transaction.create({
+            data: {
+              userId: donation.senderId,
+              donationId: donation.id,
+              reversalOfId: original?.id,
+              amount: reversalAmount,
+              currency: donation.currency,
+              exchangeRate: donation.exchangeRate,
+              type: "REVERSAL_CREDIT",
+              status: "COMPLETED",
+              reference: generateReference("REV"),
+              description,
+            },
+          });
+
+          // Move funds back: debit receiver wallet, credit sender wallet
+          try {
+            await postEntry(tx, {
+              type: "REVERSAL",
+              reference: `REVERSAL:${reversalRecord.id}`,
+              description,
+              transactionId: reversalRecord.id,
+              lines: transferLines(
+                receiverWallet,
+                senderWallet,
+                receiverDebit,
+                reversalAmount
+              ),
+            });
+          } catch (e) {
+            if (e.message === "Insufficient funds in wallet") {
+              throw new Error("Receiver has insufficient funds for reversal");
+            }
+            throw e;
+          }
+
+          // Mark the original donation transactions
+          await tx.transaction.updateMany({
+            where: {
+              donationId: donation.id,
+              type: { in: ["DONATION_DEBIT", "DONATION_CREDIT"] },
+            },
+            data: { status: newStatus },
+          });
+
+          await tx.idempotencyKey.create({
+            data: { key: idempotencyKey, transactionId: reversalRecord.id },
+          });
+
+          const reversed = { ...donation, reversedAmount: newReversed };
+          const reversal = {
+            amount: reversalAmount,
+            receivedAmount: receiverDebit,
+            status: newStatus,
+            reason: reason || null,
+          };
+          await queueWebhookEvents(tx, [
+            {
+              event: "donation.reversed",
+              userId: donation.senderId,
+              data: {
+                ...donationEventData(reversed, donation.senderId),
+                reversal,
+              },
+            },
+            {
+              event: "donation.reversed",
+              userId: donation.receiverId,
+              data: {
+                ...donationEventData(reversed, donation.receiverId),
+                reversal,
+              },
+            },
+          ]);
+
+          return reversalRecord;
+        },
+        {
+          maxWait: 3000,
+          timeout: 8000,
+          isolationLevel: "ReadCommitted",
+        }
+      );
+
+      triggerWebhookDispatch();
+      return reversalRecord;
+    } catch (e) {
+      // Handle duplicate idempotency key under race
+      if (e && e.code === "P2002") {
+        const existingTx = await findIdempotentTransaction(
+          idempotencyKey,
+          donation.receiverId,
+          "REVERSAL_DEBIT"
+        );
+        if (existingTx && existingTx.donationId === donation.id) {
+          return existingTx;
+        }
+      }
+      throw e;
+    }
+  } catch (error) {
+    console.error("Reverse Donation Error:", error.message);
+    throw error;
+  }
+};
+
+export { reverseDonation };
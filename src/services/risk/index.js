@@ -0,0 +1,73 @@
+import prisma from "../../config/db.js";
+import rules from "./rules.js";
+import { RISK_RULES, RISK_RULES_ENABLED } from "../../config/riskRules.js";
+import { findPage } from "../../utils/pagination.js";
+
+const OUTCOMES = ["ALLOW", "HOLD", "BLOCK"];
+
+// Score a donation before it is committed.
+// Returns { score, outcome: "ALLOW" | "HOLD" | "BLOCK", reasons: [{ rule, score, reason }] }
+const evaluateDonationRisk = async (donation) => {
+  if (!RISK_RULES_ENABLED) {
+    return { score: 0, outcome: "ALLOW", reasons: [] };
+  }
+
+  const context = { ...donation, now: new Date() };
+  const reasons = [];
+  let forced = "ALLOW";
+
+  for (const [name, settings] of Object.entries(RISK_RULES.rules)) {
+    if (!settings.enabled) continue;
+
+    const reason = await rules[name](context, settings);
+    if (!reason) continue;
+
+    reasons.push({ rule: name, score: settings.score, reason });
+    if (
+      settings.action &&
+      OUTCOMES.indexOf(settings.action) > OUTCOMES.indexOf(forced)
+    ) {
+      forced = settings.action;
+    }
+  }
+
+  const score = reasons.reduce((total, r) => total + r.score, 0);
+
+  let outcome = forced;
+  if (score >= RISK_RULES.blockScore) {
+    outcome = "BLOCK";
+  } else if (score >= RISK_RULES.holdScore && outcome === "ALLOW") {
+    outcome = "HOLD";
+  }
+
+  return { score, outcome, reasons };
+};
+
+const STATUSES = ["ALLOWED", "BLOCKED", "HELD", "APPROVED", "REJECTED"];
+
+const listRiskDecisions = async ({ status }, pagination) => {
+  try {
+    const where = {};
+
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        throw new Error("Invalid status");
+      }
+      where.status = status;
+    }
+
+    return await findPage(
+      prisma.riskDecision,
+      {
+        where,
+        include: { user: { select: { id: true, name: true, email: true } } },
+      },
+      pagination
+    );
+  } catch (error) {
+    console.error("List Risk Decisions Error:", error.message);
+    throw error;
+  }
+};
+
+export { evaluateDonationRisk, listRiskDecisions };
@@ -0,0 +1,83 @@
+import prisma from "../../config/db.js";
+import { Decimal } from "@prisma/client/runtime/library.js";
+
+// Risk rules implement:
+//   (donation, params) -> reason string when the rule triggers, else null
+// donation: { sender: { id, createdAt }, receiverId, amount, currency, now }
+// params: the rule's settings from src/config/riskRules.js
+
+const minutesAgo = (now, minutes) => new Date(now.getTime() - minutes * 60000);
+
+const newAccount = async ({ sender, now }, { maxAccountAgeHours }) => {
+  if (sender.createdAt < minutesAgo(now, maxAccountAgeHours * 60)) {
+    return null;
+  }
+
+  const previous = await prisma.donation.count({
+    where: { senderId: sender.id },
+  });
+
+  return previous === 0
+    ? `First donation from an account less than ${maxAccountAgeHours} hours old`
+    : null;
+};
+
+const amountSpike = async (
+  { sender, amount, currency },
+  { multiplier, history, minHistory }
+) => {
+  const recent = await prisma.donation.findMany({
+    where: { senderId: sender.id, currency },
+    select: { amount: true },
+    orderBy: { createdAt: "desc" },
+    take: history,
+  });
+
+  if (recent.length < minHistory) return null;
+
+  const average = recent
+    .reduce((sum, d) => sum.plus(d.amount), new Decimal(0))
+    .dividedBy(recent.length);
+
+  return amount.gt(average.times(multiplier))
+    ? `Amount is more than ${multiplier}x the sender's recent average (${average.toDecimalPlaces(
+        2
+      )} ${currency})`
+    : null;
+};
+
+const receiverFunnel = async (
+  { receiverId, now },
+  { distinctSenders, windowMinutes }
+) => {
+  const senders = await prisma.donation.groupBy({
+    by: ["senderId"],
+    where: { receiverId, createdAt: { gte: minutesAgo(now, windowMinutes) } },
+  });
+
+  return senders.length >= distinctSenders
+    ? `Receiver got donations from ${senders.length} people in the last ${windowMinutes} minutes`
+    : null;
+};
+
+const pinFailures = async ({ sender, now }, { failures, windowMinutes }) => {
+  const count = await prisma.pinFailure.count({
+    where: {
+      userId: sender.id,
+      createdAt: { gte: minutesAgo(now, windowMinutes) },
+    },
+  });
+
+  return count >= failures
+    ? `${count} wrong PIN attempts in the last ${windowMinutes} minutes`
+    : null;
+};
+
+const rules = {
+  NEW_ACCOUNT: newAccount,
+  AMOUNT_SPIKE: amountSpike,
+  RECEIVER_FUNNEL: receiverFunnel,
+  PIN_FAILURES: pinFailures,
+};
+
+export default rules;
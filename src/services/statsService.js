@@ -0,0 +1,260 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../config/db.js";
+import { roundAmount } from "../config/currencies.js";
+import { maskDonationFor } from "../utils/donorPrivacy.js";
+
+// period lengths for grouping and streaks (weeks start on Monday)
+const GROUPINGS = { day: "1 day", week: "1 week", month: "1 month" };
+// most periods one request may span, so a daily series stays a sane size
+const MAX_PERIODS = { day: 366, week: 260, month: 120 };
+const TOP_COUNTERPARTIES = 5;
+
+// the columns each side of a donation is read from (received amounts are in
+// the receiver's currency, as in GET /donations/count)
+const SIDES = {
+  sent: {
+    owner: '"senderId"',
+    counterparty: '"receiverId"',
+    currency: '"currency"',
+    amount: '"amount"',
+    reversed: '"reversedAmount"',
+  },
+  received: {
+    owner: '"receiverId"',
+    counterparty: '"senderId"',
+    currency: '"receivedCurrency"',
+    amount: '"receivedAmount"',
+    reversed: '"receivedReversedAmount"',
+  },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (date) =>
+  DATE_PATTERN.test(date) &&
+  new Date(`${date}T00:00:00Z`).toISOString().startsWith(date);
+
+// IANA zone name, e.g. "Africa/Lagos"; throws on anything else
+const normalizeTimeZone = (timeZone) => {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone }).resolvedOptions()
+      .timeZone;
+  } catch {
+    throw new Error("Invalid time zone");
+  }
+};
+
+// Validate the query into { startDate, endDate, groupBy, timeZone }. Dates are
+// calendar days (YYYY-MM-DD) in the requested time zone, both inclusive.
+const parseStatsOptions = ({
+  startDate,
+  endDate,
+  groupBy = "day",
+  timeZone = "UTC",
+}) => {
+  if (!startDate || !endDate) {
+    throw new Error("Start date and end date are required");
+  }
+
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    throw new Error("Invalid date format");
+  }
+
+  if (startDate > endDate) {
+    throw new Error("Start date must be before end date");
+  }
+
+  if (!Object.hasOwn(GROUPINGS, groupBy)) {
+    throw new Error("Invalid groupBy");
+  }
+
+  const days = (new Date(endDate) - new Date(startDate)) / 86400000 + 1;
+  const periods = { day: days, week: days / 7, month: days / 30.44 }[groupBy];
+  if (periods > MAX_PERIODS[groupBy]) {
+    throw new Error("Date range too large for this groupBy");
+  }
+
+  return {
+    startDate,
+    endDate,
+    groupBy,
+    timeZone: normalizeTimeZone(timeZone),
+  };
+};
+
+// "createdAt" (stored in UTC) as wall-clock time in the requested zone
+const localTime = (timeZone) =>
+  Prisma.sql`("createdAt" AT TIME ZONE 'UTC') AT TIME ZONE ${timeZone}`;
+
+// The user's donations on one side within the range, each with the local
+// period it falls in. The range bounds are converted to UTC so the
+// "createdAt" comparison can still use an index.
+const donationsIn = (
+  userId,
+  side,
+  { startDate, endDate, groupBy, timeZone }
+) => {
+  const column = SIDES[side];
+
+  return Prisma.sql`
+    SELECT "id", "anonymous",
+      ${Prisma.raw(column.counterparty)} AS "counterpartyId",
+      ${Prisma.raw(column.currency)} AS "currency",
+      ${Prisma.raw(column.amount)} AS "amount",
+      ${Prisma.raw(column.reversed)} AS "reversed",
+      date_trunc(${groupBy}, ${localTime(timeZone)}) AS "period"
+    FROM "Donation"
+    WHERE ${Prisma.raw(column.owner)} = ${userId}
+      AND "createdAt" >= (${startDate}::date::timestamp AT TIME ZONE ${timeZone}) AT TIME ZONE 'UTC'
+      AND "createdAt" < ((${endDate}::date + 1)::timestamp AT TIME ZONE ${timeZone}) AT TIME ZONE 'UTC'`;
+};
+
+const summarize = (row) => ({
+  currency: row.currency,
+  count: row.count,
+  amount: row.amount,
+  average: roundAmount(row.average, row.currency),
+  reversedAmount: row.reversedAmount,
+});
+
+// local period start as a calendar date, e.g. "2026-01-05"
+const periodLabel = (period) => period.toISOString().slice(0, 10);
+
+// totals, per-period series, top counterparties and biggest donation per
+// currency for one side (sent or received)
+const sideStats = async (userId, side, options) => {
+  const donations = donationsIn(userId, side, options);
+
+  const [totals, series, counterparties, biggestIds] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT "currency", COUNT(*)::int AS "count", SUM("amount") AS "amount",
+        AVG("amount") AS "average", SUM("reversed") AS "reversedAmount"
+      FROM (${donations}) d
+      GROUP BY "currency"
+      ORDER BY "currency"`,
+    prisma.$queryRaw`
+      SELECT "period", "currency", COUNT(*)::int AS "count",
+        SUM("amount") AS "amount", AVG("amount") AS "average",
+        SUM("reversed") AS "reversedAmount"
+      FROM (${donations}) d
+      GROUP BY "period", "currency"
+      ORDER BY "period", "currency"`,
+    // anonymous donors are never listed to the receiver
+    prisma.$queryRaw`
+      SELECT "counterpartyId" AS "userId", SUM("count")::int AS "count",
+        json_object_agg("currency", "amount"::text) AS "amounts"
+      FROM (
+        SELECT "counterpartyId", "currency", COUNT(*) AS "count",
+          SUM("amount") AS "amount"
+        FROM (${donations}) d
+        ${
+          side === "received" ? Prisma.sql`WHERE NOT "anonymous"` : Prisma.empty
+        }
+        GROUP BY "counterpartyId", "currency"
+      ) c
+      GROUP BY "counterpartyId"
+      ORDER BY "count" DESC, "counterpartyId"
+      LIMIT ${TOP_COUNTERPARTIES}`,
+    prisma.$queryRaw`
+      SELECT DISTINCT ON ("currency") "id"
+      FROM (${donations}) d
+      ORDER BY "currency", "amount" DESC, "id"`,
+  ]);
+
+  const [users, biggest] = await Promise.all([
+    prisma.user.findMany({
+      where: { id: { in: counterparties.map((c) => c.userId) } },
+      select: { id: true, name: true },
+    }),
+    prisma.donation.findMany({
+      where: { id: { in: biggestIds.map((d) => d.id) } },
+      include: {
+        sender: { select: { id: true, name: true } },
+        receiver: { select: { id: true, name: true } },
+      },
+    }),
+  ]);
+
+  const names = new Map(users.map((u) => [u.id, u.name]));
+  const currencyField = side === "sent" ? "currency" : "receivedCurrency";
+
+  return {
+    totals: totals.map(summarize),
+    series: series.map((row) => ({
+      period: periodLabel(row.period),
+      ...summarize(row),
+    })),
+    topCounterparties: counterparties.map((c) => ({
+      userId: c.userId,
+      name: names.get(c.userId) ?? null,
+      count: c.count,
+      amounts: c.amounts,
+    })),
+    biggestDonation: Object.fromEntries(
+      biggest.map((donation) => [
+        donation[currencyField],
+        maskDonationFor(donation, { id: userId }),
+      ])
+    ),
+  };
+};
+
+// Runs of consecutive periods (in the groupBy unit and time zone) in which the
+// user sent at least one donation, over their whole history: the longest, and
+// the current one (alive while the latest run reaches this or the last period).
+const donationStreak = async (userId, { groupBy, timeZone }) => {
+  const step = GROUPINGS[groupBy];
+
+  const [streak] = await prisma.$queryRaw`
+    WITH periods AS (
+      SELECT DISTINCT date_trunc(${groupBy}, ${localTime(timeZone)}) AS "period"
+      FROM "Donation"
+      WHERE "senderId" = ${userId}
+    ), runs AS (
+      SELECT MIN("period") AS "start", MAX("period") AS "end",
+        COUNT(*)::int AS "length"
+      FROM (
+        SELECT "period",
+          "period" - ROW_NUMBER() OVER (ORDER BY "period") * ${step}::interval AS "run"
+        FROM periods
+      ) p
+      GROUP BY "run"
+    ), latest AS (
+      SELECT * FROM runs ORDER BY "end" DESC LIMIT 1
+    ), longest AS (
+      SELECT * FROM runs ORDER BY "length" DESC, "end" DESC LIMIT 1
+    )
+    SELECT
+      (SELECT "length" FROM latest
+        WHERE "end" >= date_trunc(${groupBy}, now() AT TIME ZONE ${timeZone}) - ${step}::interval
+      ) AS "current",
+      (SELECT "length" FROM longest) AS "longest",
+      (SELECT "start" FROM longest) AS "longestStart",
+      (SELECT "end" FROM longest) AS "longestEnd"`;
+
+  return {
+    unit: groupBy,
+    current: streak?.current ?? 0,
+    longest: streak?.longest ?? 0,
+    longestFrom: streak?.longestStart ? periodLabel(streak.longestStart) : null,
+    longestTo: streak?.longestEnd ? periodLabel(streak.longestEnd) : null,
+  };
+};
+
+// GET /donations/stats: everything is aggregated in the database
+const getDonationStats = async (userId, options) => {
+  try {
+    const [sent, received, streak] = await Promise.all([
+      sideStats(userId, "sent", options),
+      sideStats(userId, "received", options),
+      donationStreak(userId, options),
+    ]);
+
+    return { ...options, sent, received, streak };
+  } catch (error) {
+    console.error("Get Donation Stats Error:", error.message);
+    throw error;
+  }
+};
+
+export { parseStatsOptions, getDonationStats };
@@ -0,0 +1,164 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import prisma from "../config/db.js";
+
+const JWT_SECRET = process.env.JWT_SECRET || "test_secret_key";
+// short-lived access token, long-lived rotating refresh token
+const ACCESS_TOKEN_EXPIRES = process.env.ACCESS_TOKEN_EXPIRES || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// only the sha256 of a refresh token is stored, never the raw value
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ id: user.id, email: user.email, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES,
+  });
+
+// create a refresh token row for a session and return the raw token
+const createRefreshToken = async (sessionId, client = prisma) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const expiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  await client.refreshToken.create({
+    data: {
+      sessionId,
+      tokenHash: hashToken(refreshToken),
+      expiresAt,
+    },
+  });
+
+  return { refreshToken, refreshTokenExpiresAt: expiresAt };
+};
+
+// start a new session (refresh token family) for a user
+const issueTokens = async (user) => {
+  try {
+    const session = await prisma.session.create({
+      data: { userId: user.id },
+      select: { id: true },
+    });
+
+    const { refreshToken, refreshTokenExpiresAt } = await createRefreshToken(
+      session.id
+    );
+
+    return {
+      accessToken: signAccessToken(user, session.id),
+      refreshToken,
+      refreshTokenExpiresAt,
+    };
+  } catch (error) {
+    console.error("Issue Tokens Error:", error.message);
+    throw error;
+  }
+};
+
+const revokeSession = async (sessionId, reason) => {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+const revokeAllSessions = async (userId, reason) => {
+  await prisma.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+};
+
+// exchange a refresh token for a new access/refresh pair
+const rotateRefreshToken = async (refreshToken) => {
+  try {
+    const existing = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) },
+      include: {
+        session: {
+          select: {
+            id: true,
+            revokedAt: true,
+            user: { select: { id: true, email: true } },
+          },
+        },
+      },
+    });
+
+    if (!existing) {
+      throw new Error("Invalid refresh token");
+    }
+
+    if (existing.session.revokedAt) {
+      throw new Error("Session has been revoked");
+    }
+
+    // a rotated token being presented again means it leaked: kill the family
+    if (existing.usedAt) {
+      await revokeSession(existing.sessionId, "REUSE_DETECTED");
+      throw new Error("Refresh token reuse detected");
+    }
+
+    if (existing.expiresAt < new Date()) {
+      throw new Error("Refresh token expired");
+    }
+
+    const rotated = await prisma.$transaction(async (tx) => {
+      // claim the token; a concurrent refresh with the same token loses here
+      const claimed = await tx.refreshToken.updateMany({
+        where: { id: existing.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+
+      if (claimed.count === 0) {
+        return null;
+      }
+
+      return createRefreshToken(existing.sessionId, tx);
+    });
+
+    if (!rotated) {
+      await revokeSession(existing.sessionId, "REUSE_DETECTED");
+      throw new Error("Refresh token reuse detected");
+    }
+
+    return {
+      accessToken: signAccessToken(existing.session.user, existing.sessionId),
+      ...rotated,
+    };
+  } catch (error) {
+    console.error("Rotate Refresh Token Error:", error.message);
+    throw error;
+  }
+};
+
+// verify an access token and make sure its session is still live
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (!decoded.sid) {
+    throw new Error("Access token has no session");
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sid },
+    select: { userId: true, revokedAt: true },
+  });
+
+  if (!session || session.revokedAt || session.userId !== decoded.id) {
+    throw new Error("Session has been revoked");
+  }
+
+  return decoded;
+};
+
+export {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+};
@@ -0,0 +1,140 @@
+import jwt from "jsonwebtoken";
+import prisma from "../config/db.js";
+import { sendTemplateEmail } from "../utils/email.js";
+import { enqueueJob } from "./jobService.js";
+
+const JWT_SECRET = process.env.JWT_SECRET || "test_secret_key";
+const VERIFICATION_EXPIRES = process.env.EMAIL_VERIFICATION_EXPIRES || "24h";
+// minimum gap between two verification emails to the same user
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const PURPOSE = "email_verification";
+
+const createVerificationToken = (user) =>
+  jwt.sign({ id: user.id, email: user.email, purpose: PURPOSE }, JWT_SECRET, {
+    expiresIn: VERIFICATION_EXPIRES,
+  });
+
+// sign a verification link and email it to the user
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = createVerificationToken(user);
+    const baseUrl = process.env.APP_URL || "http://localhost:3000";
+    const link = `${baseUrl}/api/auth/verify-email?token=${encodeURIComponent(
+      token
+    )}`;
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { verificationSentAt: new Date() },
+    });
+
+    await sendTemplateEmail(
+      user.email,
+      "verify_email",
+      { link, expiresIn: VERIFICATION_EXPIRES },
+      user.locale
+    );
+  } catch (error) {
+    console.error("Send Verification Email Error:", error.message);
+    throw error;
+  }
+};
+
+// resend verification email (throttled)
+const resendVerificationEmail = async (userId) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        email: true,
+        locale: true,
+        emailVerifiedAt: true,
+        verificationSentAt: true,
+      },
+    });
+
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    if (user.emailVerifiedAt) {
+      throw new Error("Email already verified");
+    }
+
+    if (
+      user.verificationSentAt &&
+      Date.now() - user.verificationSentAt.getTime() < RESEND_COOLDOWN_MS
+    ) {
+      throw new Error("Verification email sent recently, try again later");
+    }
+
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error("Resend Verification Email Error:", error.message);
+    throw error;
+  }
+};
+
+// check a verification token and mark the email as verified
+const verifyEmailToken = async (token) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (e) {
+      throw new Error("Invalid or expired verification token");
+    }
+
+    if (decoded.purpose !== PURPOSE) {
+      throw new Error("Invalid or expired verification token");
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.id },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        locale: true,
+        emailVerifiedAt: true,
+      },
+    });
+
+    // token is bound to the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      throw new Error("Invalid or expired verification token");
+    }
+
+    if (user.emailVerifiedAt) {
+      return user;
+    }
+
+    // welcome email goes out once, with the first successful verification
+    return await prisma.$transaction(async (tx) => {
+      const verified = await tx.user.updateMany({
+        where: { id: user.id, emailVerifiedAt: null },
+        data: { emailVerifiedAt: new Date() },
+      });
+
+      if (verified.count > 0) {
+        await enqueueJob(tx, "email.send", {
+          to: user.email,
+          template: "welcome",
+          variables: { name: user.name },
+          locale: user.locale,
+        });
+      }
+
+      return await tx.user.findUnique({
+        where: { id: user.id },
+        select: { id: true, email: true, emailVerifiedAt: true },
+      });
+    });
+  } catch (error) {
+    console.error("Verify Email Error:", error.message);
+    throw error;
+  }
+};
+
+export { sendVerificationEmail, resendVerificationEmail, verifyEmailToken };
@@ -0,0 +1,363 @@
+import prisma from "../config/db.js";
+import { Decimal } from "@prisma/client/runtime/library.js";
+import {
+  SYSTEM_ACCOUNTS,
+  walletAccount,
+  systemAccount,
+  postEntry,
+  getLedgerBalance,
+} from "./ledgerService.js";
+import { findIdempotentTransaction } from "./idempotencyService.js";
+import { generateReference } from "../utils/reference.js";
+import { normalizeCurrency, parseAmount } from "../config/currencies.js";
+import { ANONYMOUS_DONOR, maskDonationFor } from "../utils/donorPrivacy.js";
+import {
+  queueWebhookEvents,
+  triggerWebhookDispatch,
+} from "./webhookService.js";
+import { findPage } from "../utils/pagination.js";
+
+// the user's wallet in a currency, created on first use
+const openWallet = async (userId, currency) => {
+  try {
+    return await prisma.wallet.upsert({
+      where: {
+        userId_currency: { userId, currency: normalizeCurrency(currency) },
+      },
+      update: {},
+      create: {
+        userId,
+        currency: normalizeCurrency(currency),
+        balance: 0,
+        ledgerAccount: { create: { type: "WALLET" } },
+      },
+    });
+  } catch (error) {
+    console.error("Open Wallet Error:", error.message);
+    throw error;
+  }
+};
+
+const listWallets = async (userId) => {
+  try {
+    return await prisma.wallet.findMany({
+      where: { userId },
+      orderBy: { id: "asc" },
+    });
+  } catch (error) {
+    console.error("List Wallets Error:", error.message);
+    throw error;
+  }
+};
+
+// credit a user's wallet and record it as a TOPUP transaction
+const createTopUp = async (userId, amount, idempotencyKey, currency) => {
+  try {
+    const walletCurrency = normalizeCurrency(currency);
+
+    if (idempotencyKey) {
+      const existing = await findIdempotentTransaction(
+        idempotencyKey,
+        userId,
+        "TOPUP"
+      );
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const decimalAmount = parseAmount(amount, walletCurrency);
+
+    if (decimalAmount.isNaN() || decimalAmount.lte(0)) {
+      throw new Error("Top-up amount must be greater than zero");
+    }
+
+    const wallet = await openWallet(userId, walletCurrency);
+
+    try {
+      const topUp = await prisma.$transaction(async (tx) => {
+        const transactionRecord = await tx.transaction.create({
+          data: {
+            userId,
+            amount: decimalAmount,
+            currency: walletCurrency,
+            type: "TOPUP",
+            status: "COMPLETED",
+            reference: generateReference("TOP"),
+            idempotencyKey: idempotencyKey || null,
+          },
+        });
+
+        // post to the ledger: debit top-up funding, credit the user's wallet
+        await postEntry(tx, {
+          type: "TOPUP",
+          reference: `TOPUP:${transactionRecord.id}`,
+          description: `Wallet top-up ${transactionRecord.reference}`,
+          transactionId: transactionRecord.id,
+          lines: [
+            {
+              account: systemAccount(SYSTEM_ACCOUNTS.TOPUP_FUNDING),
+              direction: "DEBIT",
+              amount: decimalAmount,
+              currency: walletCurrency,
+            },
+            {
+              account: walletAccount(wallet.id),
+              direction: "CREDIT",
+              amount: decimalAmount,
+              currency: walletCurrency,
+            },
+          ],
+        });
+
+        if (idempotencyKey) {
+          await tx.idempotencyKey.create({
+            data: { key: idempotencyKey, transactionId: transactionRecord.id },
+          });
+        }
+
+        await queueWebhookEvents(tx, [
+          {
+            event: "wallet.topped_up",
+            userId,
+            data: {
+              transactionId: transactionRecord.id,
+              reference: transactionRecord.reference,
+              amount: transactionRecord.amount,
+              currency: transactionRecord.currency,
+              createdAt: transactionRecord.createdAt,
+            },
+          },
+        ]);
+
+        return transactionRecord;
+      });
+
+      triggerWebhookDispatch();
+      return topUp;
+    } catch (e) {
+      // Handle duplicate idempotency key under race
+      if (e && e.code === "P2002" && idempotencyKey) {
+        const existing = await findIdempotentTransaction(
+          idempotencyKey,
+          userId,
+          "TOPUP"
+        );
+        if (existing) {
+          return existing;
+        }
+      }
+      throw e;
+    }
+  } catch (error) {
+    console.error("Create Top-Up Error:", error.message);
+    throw error;
+  }
+};
+
+// list a user's wallet transactions, optionally by type, currency and date range
+const getWalletTransactions = async (
+  userId,
+  { type, currency, startDate, endDate },
+  pagination
+) => {
+  try {
+    const where = { userId };
+
+    if (type) {
+      where.type = type;
+    }
+
+    if (currency) {
+      where.currency = normalizeCurrency(currency);
+    }
+
+    if (startDate || endDate) {
+      const start = startDate ? new Date(startDate) : undefined;
+      const end = endDate ? new Date(endDate) : undefined;
+
+      if ((start && isNaN(start)) || (end && isNaN(end))) {
+        throw new Error("Invalid date format");
+      }
+
+      where.createdAt = { gte: start, lte: end };
+    }
+
+    return await findPage(prisma.transaction, { where }, pagination);
+  } catch (error) {
+    console.error("Get Wallet Transactions Error:", error.message);
+    throw error;
+  }
+};
+
+const getSingleTransaction = async (transactionId, userId) => {
+  try {
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: transactionId },
+      include: { donation: true },
+    });
+
+    if (!transaction) {
+      throw new Error("Transaction not found");
+    }
+
+    // Ensure access control
+    if (transaction.userId !== userId) {
+      throw new Error("Access denied to this transaction");
+    }
+
+    return {
+      ...transaction,
+      donation: maskDonationFor(transaction.donation, { id: userId }),
+    };
+  } catch (error) {
+    console.error("Get Single Transaction Error:", error.message);
+    throw error;
+  }
+};
+
+const STATEMENT_DEFAULT_DAYS = 30;
+
+// who is on the other side of a journal line (by entry type first: fees and
+// review holds are posted against the donation's transaction too)
+const describeCounterparty = (line, userId) => {
+  const donation = line.entry.transaction?.donation;
+
+  switch (line.entry.type) {
+    // donations and their reversals: the other party of the donation
+    case "DONATION":
+    case "REVERSAL": {
+      if (!donation) return null;
+      // the receiver of an anonymous donation never learns the sender
+      let other = donation.receiver;
+      if (donation.sender.id !== userId) {
+        other = donation.anonymous ? ANONYMOUS_DONOR : donation.sender;
+      }
+      return { type: "USER", id: other.id, name: other.name };
+    }
+    case "TOPUP":
+      return { type: "SYSTEM", name: "Wallet top-up" };
+    case "FEE":
+      return { type: "SYSTEM", name: "Fastamoni fees" };
+    case "DONATION_HOLD":
+    case "DONATION_RELEASE":
+      return { type: "SYSTEM", name: "Donation under review" };
+    case "WITHDRAWAL_HOLD":
+    case "WITHDRAWAL_RELEASE":
+      return { type: "BANK", name: line.entry.transaction?.description };
+    case "OPENING_BALANCE":
+      return { type: "SYSTEM", name: "Opening balance" };
+    default:
+      return null;
+  }
+};
+
+// chronological wallet statement built from the ledger, with running balance
+const getWalletStatement = async (userId, from, to, currency) => {
+  try {
+    const end = to ? new Date(to) : new Date();
+    const start = from
+      ? new Date(from)
+      : new Date(end.getTime() - STATEMENT_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(start) || isNaN(end)) {
+      throw new Error("Invalid date format");
+    }
+
+    if (start > end) {
+      throw new Error("from must be before to");
+    }
+
+    const wallet = await prisma.wallet.findUnique({
+      where: {
+        userId_currency: { userId, currency: normalizeCurrency(currency) },
+      },
+      select: {
+        id: true,
+        currency: true,
+        ledgerAccount: { select: { id: true } },
+      },
+    });
+
+    if (!wallet) {
+      throw new Error("Wallet not found");
+    }
+
+    const openingBalance = await getLedgerBalance(wallet.id, { before: start });
+
+    const lines = wallet.ledgerAccount
+      ? await prisma.journalLine.findMany({
+          where: {
+            accountId: wallet.ledgerAccount.id,
+            createdAt: { gte: start, lte: end },
+          },
+          include: {
+            entry: {
+              select: {
+                type: true,
+                description: true,
+                transaction: {
+                  select: {
+                    id: true,
+                    reference: true,
+                    description: true,
+                    donation: {
+                      select: {
+                        id: true,
+                        anonymous: true,
+                        sender: { select: { id: true, name: true } },
+                        receiver: { select: { id: true, name: true } },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+        })
+      : [];
+
+    let balance = openingBalance;
+    const items = lines.map((line) => {
+      const amount =
+        line.direction === "CREDIT"
+          ? new Decimal(line.amount)
+          : new Decimal(line.amount).neg();
+      balance = balance.plus(amount);
+
+      return {
+        date: line.createdAt,
+        type: line.entry.type,
+        description: line.entry.description,
+        reference: line.entry.transaction?.reference || null,
+        transactionId: line.entry.transaction?.id || null,
+        donationId: line.entry.transaction?.donation?.id || null,
+        amount,
+        balanceAfter: balance,
+        counterparty: describeCounterparty(line, userId),
+      };
+    });
+
+    return {
+      from: start,
+      to: end,
+      currency: wallet.currency,
+      openingBalance,
+      closingBalance: balance,
+      items,
+    };
+  } catch (error) {
+    console.error("Get Wallet Statement Error:", error.message);
+    throw error;
+  }
+};
+
+export {
+  openWallet,
+  listWallets,
+  createTopUp,
+  getWalletTransactions,
+  getSingleTransaction,
+  getWalletStatement,
+};
@@ -0,0 +1,475 @@
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import net from "net";
+import prisma from "../config/db.js";
+import { signWebhookPayload } from "../utils/webhookSignature.js";
+import { maskDonationFor } from "../utils/donorPrivacy.js";
+import { findPage } from "../utils/pagination.js";
+import {
+  isPrivateAddress,
+  isPublicHost,
+  publicLookup,
+} from "../utils/publicAddress.js";
+
+const WEBHOOK_EVENTS = [
+  "donation.completed", // to the sender
+  "donation.received", // to the receiver (sender hidden if anonymous)
+  "donation.reversed", // to both sides
+  "wallet.topped_up",
+];
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+// retry n waits base * 2^(n-1): 30s, 1m, 2m, 4m, ... capped at 6 hours
+const WEBHOOK_RETRY_BASE_MS = Number(
+  process.env.WEBHOOK_RETRY_BASE_MS || 30 * 1000
+);
+const WEBHOOK_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const DISPATCH_INTERVAL_MS = Number(
+  process.env.WEBHOOK_DISPATCH_INTERVAL_MS || 5000
+);
+const DISPATCH_BATCH_SIZE = 20;
+// Subscriber URLs must resolve to public addresses, or the server could be made
+// to call internal services and report back what answered. Development only:
+// WEBHOOK_ALLOW_PRIVATE_URLS=true allows e.g. scripts/webhook-receiver.js on
+// localhost (never in production).
+const ALLOW_PRIVATE_URLS =
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true" &&
+  process.env.NODE_ENV !== "production";
+
+const subscriptionSelect = {
+  id: true,
+  userId: true,
+  url: true,
+  events: true,
+  description: true,
+  active: true,
+  createdAt: true,
+};
+
+// what a donation event carries, as seen by `viewerId`
+const donationEventData = (donation, viewerId) => {
+  const visible = maskDonationFor(donation, { id: viewerId });
+  return {
+    donationId: visible.id,
+    senderId: visible.senderId,
+    receiverId: visible.receiverId,
+    campaignId: visible.campaignId,
+    amount: visible.amount,
+    currency: visible.currency,
+    receivedAmount: visible.receivedAmount,
+    receivedCurrency: visible.receivedCurrency,
+    reversedAmount: visible.reversedAmount,
+    message: visible.message,
+    anonymous: visible.anonymous,
+    createdAt: visible.createdAt,
+  };
+};
+
+// Queue events for every matching subscription: the user's own and all
+// integrations. Pass the caller's prisma.$transaction client so deliveries are
+// only recorded if the change they describe commits.
+// events: [{ event, userId, data }]
+const queueWebhookEvents = async (tx, events) => {
+  const subscriptions = await tx.webhookSubscription.findMany({
+    where: {
+      active: true,
+      events: { hasSome: events.map((e) => e.event) },
+      OR: [{ userId: null }, { userId: { in: events.map((e) => e.userId) } }],
+    },
+    select: { id: true, userId: true, events: true },
+  });
+
+  if (subscriptions.length === 0) return;
+
+  const createdAt = new Date().toISOString();
+  const deliveries = [];
+
+  for (const { event, userId, data } of events) {
+    const eventId = crypto.randomUUID();
+    // Decimals and dates as strings
+    const payload = JSON.parse(
+      JSON.stringify({ id: eventId, type: event, createdAt, userId, data })
+    );
+
+    for (const subscription of subscriptions) {
+      if (!subscription.events.includes(event)) continue;
+      if (subscription.userId !== null && subscription.userId !== userId) {
+        continue;
+      }
+      deliveries.push({
+        subscriptionId: subscription.id,
+        eventId,
+        event,
+        payload,
+      });
+    }
+  }
+
+  if (deliveries.length > 0) {
+    await tx.webhookDelivery.createMany({ data: deliveries });
+  }
+};
+
+const validateSubscription = async ({ url, events }) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error("Invalid webhook URL");
+  }
+
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new Error("Invalid webhook URL");
+  }
+
+  if (!ALLOW_PRIVATE_URLS) {
+    let isPublic;
+    try {
+      isPublic = await isPublicHost(parsed.hostname);
+    } catch {
+      // the host name does not resolve
+      throw new Error("Invalid webhook URL");
+    }
+    if (!isPublic) {
+      throw new Error("Webhook URL must be a public address");
+    }
+  }
+
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    events.some((event) => !WEBHOOK_EVENTS.includes(event))
+  ) {
+    throw new Error("Unknown webhook event");
+  }
+};
+
+// ownerId: the subscribing user, or null for an integration (all users)
+const createWebhookSubscription = async (
+  ownerId,
+  { url, events, description }
+) => {
+  try {
+    await validateSubscription({ url, events });
+
+    const secret = `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+    const subscription = await prisma.webhookSubscription.create({
+      data: {
+        userId: ownerId,
+        url,
+        secret,
+        events: [...new Set(events)],
+        description,
+      },
+      select: subscriptionSelect,
+    });
+
+    // the secret is only ever returned here
+    return { ...subscription, secret };
+  } catch (error) {
+    console.error("Create Webhook Subscription Error:", error.message);
+    throw error;
+  }
+};
+
+const listWebhookSubscriptions = async (ownerId, pagination) => {
+  try {
+    return await findPage(
+      prisma.webhookSubscription,
+      { where: { userId: ownerId, active: true }, select: subscriptionSelect },
+      pagination
+    );
+  } catch (error) {
+    console.error("List Webhook Subscriptions Error:", error.message);
+    throw error;
+  }
+};
+
+const findOwnedSubscription = async (subscriptionId, ownerId) => {
+  const subscription = await prisma.webhookSubscription.findUnique({
+    where: { id: subscriptionId },
+    select: subscriptionSelect,
+  });
+
+  if (!subscription || subscription.userId !== ownerId) {
+    throw new Error("Webhook subscription not found");
+  }
+
+  return subscription;
+};
+
+// deactivated, not deleted, so its delivery log stays readable
+const deleteWebhookSubscription = async (subscriptionId, ownerId) => {
+  try {
+    await findOwnedSubscription(subscriptionId, ownerId);
+
+    await prisma.$transaction([
+      prisma.webhookSubscription.update({
+        where: { id: subscriptionId },
+        data: { active: false },
+      }),
+      prisma.webhookDelivery.updateMany({
+        where: { subscriptionId, status: "PENDING" },
+        data: { status: "FAILED", lastError: "Subscription deleted" },
+      }),
+    ]);
+  } catch (error) {
+    console.error("Delete Webhook Subscription Error:", error.message);
+    throw error;
+  }
+};
+
+const DELIVERY_STATUSES = ["PENDING", "SUCCEEDED", "FAILED"];
+
+const listWebhookDeliveries = async (
+  subscriptionId,
+  ownerId,
+  { status },
+  pagination
+) => {
+  try {
+    await findOwnedSubscription(subscriptionId, ownerId);
+
+    const where = { subscriptionId };
+
+    if (status) {
+      if (!DELIVERY_STATUSES.includes(status)) {
+        throw new Error("Invalid status");
+      }
+      where.status = status;
+    }
+
+    return await findPage(prisma.webhookDelivery, { where }, pagination);
+  } catch (error) {
+    console.error("List Webhook Deliveries Error:", error.message);
+    throw error;
+  }
+};
+
+// send a failed delivery again (a fresh round of retries)
+const replayWebhookDelivery = async (deliveryId, ownerId) => {
+  try {
+    const delivery = await prisma.webhookDelivery.findUnique({
+      where: { id: deliveryId },
+      include: { subscription: { select: { userId: true, active: true } } },
+    });
+
+    if (!delivery || delivery.subscription.userId !== ownerId) {
+      throw new Error("Webhook delivery not found");
+    }
+
+    if (!delivery.subscription.active) {
+      throw new Error("Webhook subscription is not active");
+    }
+
+    const replayed = await prisma.webhookDelivery.updateMany({
+      where: { id: deliveryId, status: "FAILED" },
+      data: { status: "PENDING", attempts: 0, nextAttemptAt: new Date() },
+    });
+
+    if (replayed.count === 0) {
+      throw new Error("Only failed deliveries can be replayed");
+    }
+
+    triggerWebhookDispatch();
+
+    return await prisma.webhookDelivery.findUnique({
+      where: { id: deliveryId },
+    });
+  } catch (error) {
+    console.error("Replay Webhook Delivery Error:", error.message);
+    throw error;
+  }
+};
+
+const retryDelay = (attempts) =>
+  Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_MS);
+
+// POST one delivery and record the outcome
+// POST the body and resolve with the response status. Redirects are not
+// followed, and unless ALLOW_PRIVATE_URLS the connection is refused when the
+// host resolves to a private address (checked on the address connected to).
+const postWebhook = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[(.*)\]$/, "$1");
+
+    // IP literals skip the lookup, so check them here
+    if (!ALLOW_PRIVATE_URLS && net.isIP(host) && isPrivateAddress(host)) {
+      return reject(new Error("Refusing to connect to a private address"));
+    }
+
+    const request = (target.protocol === "https:" ? https : http).request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        ...(ALLOW_PRIVATE_URLS ? {} : { lookup: publicLookup }),
+      },
+      (res) => {
+        clearTimeout(timer);
+        res.resume();
+        resolve(res.statusCode);
+      }
+    );
+
+    const timer = setTimeout(
+      () => request.destroy(new Error("Request timed out")),
+      WEBHOOK_TIMEOUT_MS
+    );
+
+    request.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+
+const attemptDelivery = async (delivery) => {
+  // claim it first (push nextAttemptAt past the request timeout) so another
+  // instance does not send it at the same time
+  const claimed = await prisma.webhookDelivery.updateMany({
+    where: {
+      id: delivery.id,
+      status: "PENDING",
+      nextAttemptAt: delivery.nextAttemptAt,
+    },
+    data: { nextAttemptAt: new Date(Date.now() + WEBHOOK_TIMEOUT_MS * 2) },
+  });
+
+  if (claimed.count === 0) return;
+
+  const body = JSON.stringify(delivery.payload);
+  let statusCode = null;
+  let error = null;
+
+  try {
+    statusCode = await postWebhook(
+      delivery.subscription.url,
+      {
+        "Content-Type": "application/json",
+        "User-Agent": "Fastamoni-Webhooks/1.0",
+        "X-Fastamoni-Event": delivery.event,
+        "X-Fastamoni-Delivery": String(delivery.id),
+        "X-Fastamoni-Signature": signWebhookPayload(
+          delivery.subscription.secret,
+          body
+        ),
+      },
+      body
+    );
+    if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+  } catch (err) {
+    error = err.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+
+  if (!error) {
+    await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: "SUCCEEDED",
+        attempts,
+        lastStatusCode: statusCode,
+        lastError: null,
+        deliveredAt: new Date(),
+      },
+    });
+    return;
+  }
+
+  const gaveUp = attempts >= WEBHOOK_MAX_ATTEMPTS;
+  await prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status: gaveUp ? "FAILED" : "PENDING",
+      attempts,
+      lastStatusCode: statusCode,
+      lastError: error,
+      nextAttemptAt: new Date(Date.now() + retryDelay(attempts)),
+    },
+  });
+
+  console.warn(
+    `Webhook Delivery: #${delivery.id} ${
+      delivery.event
+    } attempt ${attempts} failed (${error})${gaveUp ? ", giving up" : ""}`
+  );
+};
+
+// send every delivery that is due (one attempt each per call)
+const dispatchDueWebhooks = async (now = new Date()) => {
+  const due = await prisma.webhookDelivery.findMany({
+    where: { status: "PENDING", nextAttemptAt: { lte: now } },
+    include: { subscription: { select: { url: true, secret: true } } },
+    orderBy: { nextAttemptAt: "asc" },
+    take: DISPATCH_BATCH_SIZE,
+  });
+
+  await Promise.all(
+    due.map((delivery) =>
+      attemptDelivery(delivery).catch((error) => {
+        console.error(
+          `Webhook Delivery Error: #${delivery.id}:`,
+          error.message
+        );
+      })
+    )
+  );
+
+  return due.length;
+};
+
+let dispatchTimer = null;
+let dispatchBusy = false;
+
+const runDispatch = async () => {
+  if (dispatchBusy) return;
+  dispatchBusy = true;
+  try {
+    await dispatchDueWebhooks();
+  } catch (error) {
+    console.error("Webhook Dispatcher Error:", error.message);
+  } finally {
+    dispatchBusy = false;
+  }
+};
+
+// deliver soon instead of waiting for the next tick (no-op if not running)
+const triggerWebhookDispatch = () => {
+  if (dispatchTimer) setImmediate(runDispatch);
+};
+
+// in-app dispatcher: sends due deliveries every interval
+const startWebhookDispatcher = () => {
+  if (dispatchTimer) return;
+
+  dispatchTimer = setInterval(runDispatch, DISPATCH_INTERVAL_MS);
+
+  // never keep the process alive just for the dispatcher
+  dispatchTimer.unref();
+};
+
+const stopWebhookDispatcher = () => {
+  clearInterval(dispatchTimer);
+  dispatchTimer = null;
+};
+
+export {
+  WEBHOOK_EVENTS,
+  donationEventData,
+  queueWebhookEvents,
+  triggerWebhookDispatch,
+  createWebhookSubscription,
+  listWebhookSubscriptions,
+  deleteWebhookSubscription,
+  listWebhookDeliveries,
+  replayWebhookDelivery,
+  dispatchDueWebhooks,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+};
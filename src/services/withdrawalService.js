@@ -0,0 +1,400 @@
+import prisma from "../config/db.js";
+import {
+  SYSTEM_ACCOUNTS,
+  walletAccount,
+  systemAccount,
+  postEntry,
+} from "./ledgerService.js";
+import { findIdempotentTransaction } from "./idempotencyService.js";
+import { getPayoutProvider } from "./payouts/index.js";
+import { generateReference } from "../utils/reference.js";
+import { normalizeCurrency, parseAmount } from "../config/currencies.js";
+import { findPage } from "../utils/pagination.js";
+
+const bankAccountSelect = {
+  id: true,
+  bankCode: true,
+  accountNumber: true,
+  accountName: true,
+  createdAt: true,
+};
+
+// save a bank account (beneficiary); re-adding a removed one restores it
+const addBankAccount = async (
+  userId,
+  { bankCode, accountNumber, accountName }
+) => {
+  try {
+    return await prisma.bankAccount.upsert({
+      where: {
+        userId_bankCode_accountNumber: { userId, bankCode, accountNumber },
+      },
+      update: { accountName, deletedAt: null },
+      create: { userId, bankCode, accountNumber, accountName },
+      select: bankAccountSelect,
+    });
+  } catch (error) {
+    console.error("Add Bank Account Error:", error.message);
+    throw error;
+  }
+};
+
+const listBankAccounts = async (userId, pagination) => {
+  try {
+    return await findPage(
+      prisma.bankAccount,
+      { where: { userId, deletedAt: null }, select: bankAccountSelect },
+      pagination
+    );
+  } catch (error) {
+    console.error("List Bank Accounts Error:", error.message);
+    throw error;
+  }
+};
+
+// soft delete so past withdrawals keep their beneficiary
+const removeBankAccount = async (userId, bankAccountId) => {
+  try {
+    const removed = await prisma.bankAccount.updateMany({
+      where: { id: bankAccountId, userId, deletedAt: null },
+      data: { deletedAt: new Date() },
+    });
+
+    if (removed.count === 0) {
+      throw new Error("Bank account not found");
+    }
+  } catch (error) {
+    console.error("Remove Bank Account Error:", error.message);
+    throw error;
+  }
+};
+
+// Settle a withdrawal once the provider reports the final outcome.
+// SUCCESS moves the held funds out; FAILED releases them back to the wallet.
+// Safe to call more than once: only the first call changes anything.
+const settleWithdrawal = async (withdrawalId, { status, failureReason }) => {
+  try {
+    if (!["SUCCESS", "FAILED"].includes(status)) {
+      throw new Error("Invalid payout status");
+    }
+
+    const finalStatus = status === "SUCCESS" ? "COMPLETED" : "FAILED";
+
+    return await prisma.$transaction(async (tx) => {
+      const claimed = await tx.withdrawal.updateMany({
+        where: { id: withdrawalId, status: { in: ["PENDING", "PROCESSING"] } },
+        data: {
+          status: finalStatus,
+          failureReason: failureReason || null,
+          settledAt: new Date(),
+        },
+      });
+
+      const withdrawal = await tx.withdrawal.findUnique({
+        where: { id: withdrawalId },
+      });
+
+      // already settled earlier (e.g. duplicate webhook)
+      if (claimed.count === 0) {
+        return withdrawal;
+      }
+
+      if (finalStatus === "COMPLETED") {
+        await postEntry(tx, {
+          type: "WITHDRAWAL_SETTLE",
+          reference: `WITHDRAWAL_SETTLE:${withdrawal.id}`,
+          description: `Payout of withdrawal #${withdrawal.id}`,
+          transactionId: withdrawal.transactionId,
+          lines: [
+            {
+              account: systemAccount(SYSTEM_ACCOUNTS.WITHDRAWALS_PENDING),
+              direction: "DEBIT",
+              amount: withdrawal.amount,
+              currency: withdrawal.currency,
+            },
+            {
+              account: systemAccount(SYSTEM_ACCOUNTS.PAYOUTS_SETTLED),
+              direction: "CREDIT",
+              amount: withdrawal.amount,
+              currency: withdrawal.currency,
+            },
+          ],
+        });
+      } else {
+        const wallet = await tx.wallet.findUnique({
+          where: {
+            userId_currency: {
+              userId: withdrawal.userId,
+              currency: withdrawal.currency,
+            },
+          },
+          select: { id: true },
+        });
+
+        await postEntry(tx, {
+          type: "WITHDRAWAL_RELEASE",
+          reference: `WITHDRAWAL_RELEASE:${withdrawal.id}`,
+          description: `Release of failed withdrawal #${withdrawal.id}`,
+          transactionId: withdrawal.transactionId,
+          lines: [
+            {
+              account: systemAccount(SYSTEM_ACCOUNTS.WITHDRAWALS_PENDING),
+              direction: "DEBIT",
+              amount: withdrawal.amount,
+              currency: withdrawal.currency,
+            },
+            {
+              account: walletAccount(wallet.id),
+              direction: "CREDIT",
+              amount: withdrawal.amount,
+              currency: withdrawal.currency,
+            },
+          ],
+        });
+      }
+
+      await tx.transaction.update({
+        where: { id: withdrawal.transactionId },
+        data: { status: finalStatus },
+      });
+
+      console.info(
+        `Withdrawal Settled: #${withdrawal.id} user ${withdrawal.userId} ${finalStatus}`
+      );
+
+      return withdrawal;
+    });
+  } catch (error) {
+    console.error("Settle Withdrawal Error:", error.message);
+    throw error;
+  }
+};
+
+const withWithdrawal = (transactionId) =>
+  prisma.transaction.findUnique({
+    where: { id: transactionId },
+    include: {
+      withdrawal: { include: { bankAccount: { select: bankAccountSelect } } },
+    },
+  });
+
+// hold the funds, then hand the payout to the provider
+const createWithdrawal = async (
+  userId,
+  { amount, currency, bankAccountId, idempotencyKey }
+) => {
+  try {
+    const walletCurrency = normalizeCurrency(currency);
+
+    const existing = await findIdempotentTransaction(
+      idempotencyKey,
+      userId,
+      "WITHDRAWAL"
+    );
+
+    if (existing) {
+      return withWithdrawal(existing.id);
+    }
+
+    const decimalAmount = parseAmount(amount, walletCurrency);
+
+    if (decimalAmount.isNaN() || decimalAmount.lte(0)) {
+      throw new Error("Withdrawal amount must be greater than zero");
+    }
+
+    const [bankAccount, wallet] = await Promise.all([
+      prisma.bankAccount.findFirst({
+        where: { id: bankAccountId, userId, deletedAt: null },
+      }),
+      prisma.wallet.findUnique({
+        where: { userId_currency: { userId, currency: walletCurrency } },
+        select: { id: true },
+      }),
+    ]);
+
+    if (!bankAccount) {
+      throw new Error("Bank account not found");
+    }
+
+    if (!wallet) {
+      throw new Error("Wallet not found");
+    }
+
+    const provider = getPayoutProvider();
+
+    let held;
+    try {
+      held = await prisma.$transaction(async (tx) => {
+        const transactionRecord = await tx.transaction.create({
+          data: {
+            userId,
+            amount: decimalAmount,
+            currency: walletCurrency,
+            type: "WITHDRAWAL",
+            status: "PENDING",
+            reference: generateReference("WDR"),
+            description: `Withdrawal to ${bankAccount.bankCode}/${bankAccount.accountNumber}`,
+            idempotencyKey,
+          },
+        });
+
+        const withdrawal = await tx.withdrawal.create({
+          data: {
+            userId,
+            transactionId: transactionRecord.id,
+            bankAccountId: bankAccount.id,
+            amount: decimalAmount,
+            currency: walletCurrency,
+            status: "PENDING",
+            provider: provider.name,
+          },
+        });
+
+        // hold: debit the wallet, credit pending withdrawals
+        await postEntry(tx, {
+          type: "WITHDRAWAL_HOLD",
+          reference: `WITHDRAWAL_HOLD:${withdrawal.id}`,
+          description: `Hold for withdrawal #${withdrawal.id}`,
+          transactionId: transactionRecord.id,
+          lines: [
+            {
+              account: walletAccount(wallet.id),
+              direction: "DEBIT",
+              amount: decimalAmount,
+              currency: walletCurrency,
+            },
+            {
+              account: systemAccount(SYSTEM_ACCOUNTS.WITHDRAWALS_PENDING),
+              direction: "CREDIT",
+              amount: decimalAmount,
+              currency: walletCurrency,
+            },
+          ],
+        });
+
+        await tx.idempotencyKey.create({
+          data: { key: idempotencyKey, transactionId: transactionRecord.id },
+        });
+
+        return { transactionRecord, withdrawal };
+      });
+    } catch (e) {
+      // Handle duplicate idempotency key under race
+      if (e && e.code === "P2002") {
+        const existingTx = await findIdempotentTransaction(
+          idempotencyKey,
+          userId,
+          "WITHDRAWAL"
+        );
+        if (existingTx) {
+          return withWithdrawal(existingTx.id);
+        }
+      }
+      throw e;
+    }
+
+    // talk to the provider outside the DB transaction
+    let payout;
+    try {
+      payout = await provider.initiatePayout({
+        reference: held.transactionRecord.reference,
+        amount: decimalAmount.toString(),
+        currency: walletCurrency,
+        bankAccount,
+      });
+    } catch (err) {
+      console.error("Payout Provider Error:", err.message);
+      payout = { status: "FAILED", failureReason: "Payout provider error" };
+    }
+
+    if (payout.providerReference) {
+      await prisma.withdrawal.update({
+        where: { id: held.withdrawal.id },
+        data: { providerReference: payout.providerReference },
+      });
+    }
+
+    if (payout.status === "PENDING") {
+      await prisma.$transaction([
+        prisma.withdrawal.updateMany({
+          where: { id: held.withdrawal.id, status: "PENDING" },
+          data: { status: "PROCESSING" },
+        }),
+        prisma.transaction.updateMany({
+          where: { id: held.transactionRecord.id, status: "PENDING" },
+          data: { status: "PROCESSING" },
+        }),
+      ]);
+    } else {
+      await settleWithdrawal(held.withdrawal.id, payout);
+    }
+
+    return withWithdrawal(held.transactionRecord.id);
+  } catch (error) {
+    console.error("Create Withdrawal Error:", error.message);
+    throw error;
+  }
+};
+
+// provider callback: settle or release the held funds
+const handlePayoutWebhook = async (providerName, req) => {
+  try {
+    const provider = getPayoutProvider(providerName);
+
+    if (!provider.verifyWebhook(req)) {
+      throw new Error("Invalid webhook signature");
+    }
+
+    const event = provider.parseWebhook(req.body);
+
+    if (
+      typeof event.providerReference !== "string" ||
+      !event.providerReference
+    ) {
+      throw new Error("Missing provider reference");
+    }
+
+    const withdrawal = await prisma.withdrawal.findUnique({
+      where: { providerReference: event.providerReference },
+      select: { id: true },
+    });
+
+    if (!withdrawal) {
+      throw new Error("Withdrawal not found");
+    }
+
+    return await settleWithdrawal(withdrawal.id, event);
+  } catch (error) {
+    console.error("Payout Webhook Error:", error.message);
+    throw error;
+  }
+};
+
+const listWithdrawals = async (userId, pagination) => {
+  try {
+    return await findPage(
+      prisma.withdrawal,
+      {
+        where: { userId },
+        include: {
+          bankAccount: { select: bankAccountSelect },
+          transaction: { select: { reference: true } },
+        },
+      },
+      pagination
+    );
+  } catch (error) {
+    console.error("List Withdrawals Error:", error.message);
+    throw error;
+  }
+};
+
+export {
+  addBankAccount,
+  listBankAccounts,
+  removeBankAccount,
+  createWithdrawal,
+  settleWithdrawal,
+  handlePayoutWebhook,
+  listWithdrawals,
+};
@@ -0,0 +1,100 @@
+// Minimal 5-field cron ("minute hour day-of-month month day-of-week"), in UTC.
+// Supports *, numbers, lists (1,15), ranges (1-5) and steps (*/15, 0-30/10).
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+const parseField = (text, { min, max }) => {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error("Invalid cron expression");
+    }
+
+    const [, range, stepText] = match;
+    const step = stepText ? Number(stepText) : 1;
+    let [from, to] = range === "*" ? [min, max] : range.split("-").map(Number);
+    if (to === undefined) to = stepText ? max : from;
+
+    if (step < 1 || from < min || to > max || from > to) {
+      throw new Error("Invalid cron expression");
+    }
+
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+
+  return values;
+};
+
+const parseCron = (expression) => {
+  const parts = String(expression || "")
+    .trim()
+    .split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error("Invalid cron expression");
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((p, i) =>
+    parseField(p, FIELDS[i])
+  );
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // like cron: when both day fields are restricted, either may match
+    anyDayOfMonth: parts[2] === "*",
+    anyDayOfWeek: parts[4] === "*",
+  };
+};
+
+const dayMatches = (cron, date) => {
+  const dom = cron.daysOfMonth.has(date.getUTCDate());
+  const dow = cron.daysOfWeek.has(date.getUTCDay());
+
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+};
+
+// first time strictly after `after` that matches the expression
+const nextCronRun = (expression, after = new Date()) => {
+  const cron = parseCron(expression);
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  // no match within a few years means it can never fire (e.g. 30 February)
+  const giveUpAt = new Date(after).setUTCFullYear(after.getUTCFullYear() + 5);
+
+  while (date.getTime() <= giveUpAt) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error("Invalid cron expression");
+};
+
+export { parseCron, nextCronRun };
@@ -0,0 +1,19 @@
+// RFC 4180 CSV. Text that a spreadsheet would run as a formula (=, +, -, @ ...)
+// is prefixed with ' so an exported message or name cannot execute.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvValue).join(",")}\r\n`;
+
+export { csvRow };
@@ -0,0 +1,32 @@
+// what a receiver (or anyone but the sender/admins) sees instead of an anonymous donor
+const ANONYMOUS_DONOR = { id: null, name: "Anonymous", email: null };
+
+// can this viewer ({ id, role? }) see who sent the donation?
+const canSeeSender = (donation, viewer) =>
+  !donation.anonymous ||
+  viewer.id === donation.senderId ||
+  viewer.role === "ADMIN";
+
+// Hide the sender of an anonymous donation from the viewer: sender details,
+// senderId and the sender-side transaction rows. Use for anything receiver-facing.
+const maskDonationFor = (donation, viewer) => {
+  if (!donation || canSeeSender(donation, viewer)) {
+    return donation;
+  }
+
+  const masked = { ...donation, senderId: null };
+
+  if (donation.sender) {
+    masked.sender = ANONYMOUS_DONOR;
+  }
+
+  if (donation.transactions) {
+    masked.transactions = donation.transactions.filter(
+      (t) => t.userId === viewer.id
+    );
+  }
+
+  return masked;
+};
+
+export { ANONYMOUS_DONOR, canSeeSender, maskDonationFor };
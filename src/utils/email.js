@@ -1,4 +1,5 @@
 import nodemailer from "nodemailer";
+import { renderEmail } from "./emailTemplates/index.js";
 
 // Provider selection: SMTP (default), GMAIL_OAUTH (OAuth2), or RESEND (HTTP API)
 const PROVIDER = (process.env.EMAIL_PROVIDER || "SMTP").toUpperCase();
@@ -124,10 +125,10 @@ async function configureGmailOauth() {
 })();
 
 // Internal send via Resend HTTP API (no extra deps; Node 18+ fetch)
-async function sendViaResend({ from, to, subject, html }) {
+async function sendViaResend({ from, to, subject, html, text }) {
   const apiKey = process.env.RESEND_API_KEY;
   if (!apiKey) throw new Error("RESEND_API_KEY missing");
-  const payload = { from, to, subject, html };
+  const payload = { from, to, subject, html, text };
   const res = await fetch("https://api.resend.com/emails", {
     method: "POST",
     headers: {
@@ -150,85 +151,15 @@ const fromAddress = () => {
   return `${name} <${addr}>`;
 };
 
-// Function to send thank you email (non-blocking)
-const sendThankYouEmail = async (toEmail, senderName) => {
-  setImmediate(async () => {
-    try {
-      const mail = {
-        from: fromAddress(),
-        to: toEmail,
-        subject: "Thank You for Your Generous Donation!",
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #333;">Dear ${senderName},</h2>
-            <p style="color: #555; line-height: 1.6;">We noticed that you have made multiple donations through our platform. Your generosity and continued support is truly appreciated!</p>
-            <p style="color: #555; line-height: 1.6;">Thank you for making a difference.</p>
-            <br />
-            <p style="color: #555;">With gratitude,</p>
-            <p style="color: #555;"><strong>The Fastamoni Team</strong></p>
-          </div>
-        `,
-      };
-
-      if (DRY_RUN) {
-        console.log("Email queued:", {
-          to: mail.to,
-          subject: mail.subject,
-          provider: PROVIDER,
-        });
-        return;
-      }
-
-      if (PROVIDER === "RESEND" && process.env.RESEND_API_KEY) {
-        const info = await sendViaResend(mail);
-        console.log(
-          `✅ Thank you email sent to ${toEmail} (ID: ${info?.id || "ok"})`
-        );
-        return;
-      }
-
-      if (!transporter) {
-        console.log("⚠️  Email disabled - skipping thank you email");
-        return;
-      }
-
-      // Add retry logic for production
-      let lastError;
-      for (let attempt = 1; attempt <= 3; attempt++) {
-        try {
-          const info = await transporter.sendMail(mail);
-          console.log(
-            `✅ Thank you email sent to ${toEmail} (ID: ${info.messageId})`
-          );
-          return;
-        } catch (error) {
-          lastError = error;
-          console.error(
-            `⚠️  Email attempt ${attempt}/3 failed:`,
-            error.message || error
-          );
-          if (attempt < 3) {
-            await new Promise((resolve) => setTimeout(resolve, 2000 * attempt));
-          }
-        }
-      }
-
-      console.error(
-        "❌ Error sending thank you email after 3 attempts:",
-        lastError.message || lastError
-      );
-    } catch (error) {
-      console.error(
-        "❌ Error sending thank you email:",
-        error.message || error
-      );
-    }
-  });
-};
-
 // Function to send generic email
-const sendGenericEmail = async (toEmail, subject, htmlContent) => {
-  const mail = { from: fromAddress(), to: toEmail, subject, html: htmlContent };
+const sendGenericEmail = async (toEmail, subject, htmlContent, textContent) => {
+  const mail = {
+    from: fromAddress(),
+    to: toEmail,
+    subject,
+    html: htmlContent,
+    text: textContent,
+  };
 
   if (DRY_RUN) {
     console.log("Email queued:", {
@@ -257,4 +188,11 @@ const sendGenericEmail = async (toEmail, subject, htmlContent) => {
   }
 };
 
-export { sendThankYouEmail, sendGenericEmail };
+// Render a named template (src/utils/emailTemplates) in the user's locale and
+// send it with its plaintext alternative
+const sendTemplateEmail = async (toEmail, template, variables, locale) => {
+  const { subject, html, text } = renderEmail(template, variables, locale);
+  return await sendGenericEmail(toEmail, subject, html, text);
+};
+
+export { sendGenericEmail, sendTemplateEmail };
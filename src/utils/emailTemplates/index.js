@@ -0,0 +1,118 @@
+import { applyLayout } from "./layout.js";
+import samples from "./samples.js";
+import en from "./locales/en.js";
+import fr from "./locales/fr.js";
+
+const LOCALES = { en, fr };
+const DEFAULT_LOCALE = "en";
+
+const ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => ESCAPES[char]);
+
+// &amp; last, so "&amp;lt;" becomes "&lt;" and not "<"
+const unescapeHtml = (value) =>
+  Object.entries(ESCAPES)
+    .reverse()
+    .reduce(
+      (text, [char, entity]) => text.split(entity).join(char),
+      value.replace(/&nbsp;/g, " ")
+    );
+
+// "fr-FR" -> "fr"; unknown locales fall back to English
+const resolveLocale = (locale) => {
+  const language = String(locale || "")
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  return Object.hasOwn(LOCALES, language) ? language : DEFAULT_LOCALE;
+};
+
+// {{#name}}...{{/name}} sections first, then escaped {{name}} values
+const interpolate = (source, variables) =>
+  source
+    .replace(/{{#(\w+)}}([\s\S]*?){{\/\1}}/g, (_, name, inner) =>
+      variables[name] ? inner : ""
+    )
+    .replace(/{{(\w+)}}/g, (_, name) => {
+      if (variables[name] === undefined || variables[name] === null) {
+        throw new Error(`Missing email variable: ${name}`);
+      }
+      return escapeHtml(variables[name]);
+    });
+
+// plaintext alternative generated from the rendered HTML
+const htmlToText = (html) =>
+  unescapeHtml(
+    html
+      .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/g, "$2: $1")
+      .replace(/<br\s*\/?>/g, "\n")
+      .replace(/<\/(p|h\d|div)>/g, "\n\n")
+      .replace(/<[^>]*>/g, "")
+  )
+    .split("\n")
+    .map((line) => line.trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const hasTemplate = (name) => Object.hasOwn(en.templates, name);
+
+// Render a named template: { subject, html, text, locale }. Missing variables
+// throw instead of sending an email with holes in it.
+const renderEmail = (name, variables = {}, locale) => {
+  if (!hasTemplate(name)) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const language = resolveLocale(locale);
+  const strings = LOCALES[language];
+  const template = strings.templates[name] || en.templates[name];
+
+  const html = applyLayout({
+    heading: interpolate(template.heading, variables),
+    body: interpolate(template.body, variables)
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .join("\n  "),
+    signOff: escapeHtml(strings.signOff || en.signOff),
+    footer: variables.unsubscribeLink
+      ? `<p class="footer">${interpolate(
+          strings.unsubscribe || en.unsubscribe,
+          variables
+        )}</p>`
+      : "",
+  });
+
+  return {
+    subject: unescapeHtml(interpolate(template.subject, variables)),
+    html,
+    text: htmlToText(html),
+    locale: language,
+  };
+};
+
+const renderEmailPreview = (name, locale) =>
+  renderEmail(name, samples[name] || {}, locale);
+
+const listEmailTemplates = () => ({
+  templates: Object.keys(en.templates),
+  locales: Object.keys(LOCALES),
+});
+
+export {
+  DEFAULT_LOCALE,
+  escapeHtml,
+  resolveLocale,
+  hasTemplate,
+  renderEmail,
+  renderEmailPreview,
+  listEmailTemplates,
+};
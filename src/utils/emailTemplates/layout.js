@@ -0,0 +1,27 @@
+// Shared wrapper for every email. Templates only provide the heading and the
+// body paragraphs; {{heading}}, {{body}}, {{signOff}} and {{footer}} are filled
+// in by the renderer (already rendered and escaped at that point).
+const LAYOUT = `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #333;">{{heading}}</h2>
+  {{body}}
+  <br />
+  <p><strong>{{signOff}}</strong></p>
+  {{footer}}
+</div>
+`;
+
+// inline styles (most email clients drop <style> blocks)
+const PARAGRAPH_STYLE = "color: #555; line-height: 1.6;";
+const CODE_STYLE = "font-size: 24px; letter-spacing: 4px;";
+const FOOTER_STYLE = "color: #999; font-size: 12px;";
+
+// one pass, so a value that looks like a placeholder is left alone
+const applyLayout = (parts) =>
+  LAYOUT.replace(/{{(\w+)}}/g, (_, name) => parts[name])
+    .replace(/<p>/g, `<p style="${PARAGRAPH_STYLE}">`)
+    .replace(/<p class="code">/g, `<p style="${CODE_STYLE}">`)
+    .replace(/<p class="footer">/g, `<p style="${FOOTER_STYLE}">`)
+    .trim();
+
+export { applyLayout };
@@ -0,0 +1,127 @@
+// English templates (the fallback for every other locale).
+// {{variable}} is HTML-escaped; {{#variable}}...{{/variable}} is only kept
+// when the variable is set.
+export default {
+  signOff: "The Fastamoni Team",
+  // added to optional emails (milestones, donation received)
+  unsubscribe:
+    'Don’t want these emails? <a href="{{unsubscribeLink}}">Unsubscribe</a>.',
+
+  templates: {
+    welcome: {
+      subject: "Welcome to Fastamoni",
+      heading: "Welcome, {{name}}!",
+      body: `
+        <p>Your email is confirmed and your wallet is ready.</p>
+        <p>Top up your wallet, set a transaction PIN and you can start donating.</p>
+      `,
+    },
+
+    verify_email: {
+      subject: "Verify your email address",
+      heading: "Confirm your email",
+      body: `
+        <p>Please confirm this email address to start donating and topping up your wallet.</p>
+        <p><a href="{{link}}">Verify my email</a></p>
+        <p>This link expires in {{expiresIn}}. If you did not create an account, you can ignore this email.</p>
+      `,
+    },
+
+    password_reset: {
+      subject: "Reset your password",
+      heading: "Password reset",
+      body: `
+        <p>We received a request to reset your password.</p>
+        <p><a href="{{link}}">Choose a new password</a></p>
+        <p>This link expires in {{expiresInMinutes}} minutes and can only be used once. If you did not ask for this, you can ignore this email.</p>
+      `,
+    },
+
+    thank_you: {
+      subject: "Thank You for Your Generous Donation!",
+      heading: "Dear {{name}},",
+      body: `
+        <p>We noticed that you have made multiple donations through our platform. Your generosity and continued support is truly appreciated!</p>
+        <p>Thank you for making a difference.</p>
+      `,
+    },
+
+    donation_milestone: {
+      subject: "You have made {{count}} donations!",
+      heading: "{{count}} donations, {{name}}!",
+      body: `
+        <p>You just reached {{count}} donations through Fastamoni.</p>
+        <p>Every one of them made a difference. Thank you for your continued generosity.</p>
+      `,
+    },
+
+    amount_milestone: {
+      subject: "You have donated {{amount}} {{currency}}!",
+      heading: "Thank you, {{name}}!",
+      body: `
+        <p>You have now donated a total of {{amount}} {{currency}} through Fastamoni.</p>
+        <p>That is a real difference to the people you support. Thank you for your generosity.</p>
+      `,
+    },
+
+    donation_received: {
+      subject: "You received a donation",
+      heading: "You received a donation",
+      body: `
+        <p>Hi {{name}},</p>
+        <p>{{donorName}} sent you {{amount}} {{currency}}.</p>
+        {{#message}}<p>They wrote: “{{message}}”</p>{{/message}}
+      `,
+    },
+
+    recurring_donation_failed: {
+      subject: "Your scheduled donation could not be made",
+      heading: "Scheduled donation missed",
+      body: `
+        <p>Hi {{name}},</p>
+        <p>Your recurring donation of {{amount}} {{currency}} could not be made: {{reason}}.</p>
+        <p>We will try again at the next scheduled date.</p>
+      `,
+    },
+
+    pin_reset_code: {
+      subject: "Your transaction PIN reset code",
+      heading: "Reset your transaction PIN",
+      body: `
+        <p>Your one-time code is:</p>
+        <p class="code"><strong>{{code}}</strong></p>
+        <p>It expires in {{expiresInMinutes}} minutes. Outgoing donations are paused for {{coolingOffHours}} hours after a PIN reset.</p>
+        <p>If you did not ask for this, please change your password immediately.</p>
+      `,
+    },
+
+    pin_changed: {
+      subject: "Your transaction PIN was changed",
+      heading: "Transaction PIN changed",
+      body: `
+        <p>Your transaction PIN was changed on {{changedAt}} (UTC).</p>
+        <p>If this was not you, please reset your PIN and change your password immediately.</p>
+      `,
+    },
+
+    pin_locked: {
+      subject: "Your transaction PIN has been locked",
+      heading: "Transaction PIN locked",
+      body: `
+        <p>Your transaction PIN was entered incorrectly too many times, so it has been locked until {{lockedUntil}} (UTC).</p>
+        <p>If this was not you, please change your password immediately.</p>
+      `,
+    },
+
+    export_ready: {
+      subject: "Your donation export is ready",
+      heading: "Donation export ready",
+      body: `
+        <p>Hi {{name}},</p>
+        <p>Your export of {{rows}} donations is ready to download.</p>
+        <p><a href="{{link}}">Download my export</a></p>
+        <p>This link expires in {{expiresInHours}} hours. Anyone with the link can download the file, so please do not forward it.</p>
+      `,
+    },
+  },
+};
@@ -0,0 +1,124 @@
+// French templates. Anything missing here falls back to English.
+export default {
+  signOff: "L’équipe Fastamoni",
+  unsubscribe:
+    'Vous ne souhaitez plus recevoir ces e-mails ? <a href="{{unsubscribeLink}}">Se désabonner</a>.',
+
+  templates: {
+    welcome: {
+      subject: "Bienvenue sur Fastamoni",
+      heading: "Bienvenue, {{name}} !",
+      body: `
+        <p>Votre adresse e-mail est confirmée et votre portefeuille est prêt.</p>
+        <p>Approvisionnez votre portefeuille, choisissez un code PIN de transaction et vous pourrez commencer à faire des dons.</p>
+      `,
+    },
+
+    verify_email: {
+      subject: "Vérifiez votre adresse e-mail",
+      heading: "Confirmez votre adresse e-mail",
+      body: `
+        <p>Merci de confirmer cette adresse pour pouvoir faire des dons et approvisionner votre portefeuille.</p>
+        <p><a href="{{link}}">Vérifier mon adresse e-mail</a></p>
+        <p>Ce lien expire dans {{expiresIn}}. Si vous n’avez pas créé de compte, vous pouvez ignorer cet e-mail.</p>
+      `,
+    },
+
+    password_reset: {
+      subject: "Réinitialisez votre mot de passe",
+      heading: "Réinitialisation du mot de passe",
+      body: `
+        <p>Nous avons reçu une demande de réinitialisation de votre mot de passe.</p>
+        <p><a href="{{link}}">Choisir un nouveau mot de passe</a></p>
+        <p>Ce lien expire dans {{expiresInMinutes}} minutes et ne peut être utilisé qu’une seule fois. Si vous n’êtes pas à l’origine de cette demande, vous pouvez ignorer cet e-mail.</p>
+      `,
+    },
+
+    thank_you: {
+      subject: "Merci pour votre générosité !",
+      heading: "Cher·e {{name}},",
+      body: `
+        <p>Vous avez fait plusieurs dons sur notre plateforme. Votre générosité et votre soutien sont très appréciés !</p>
+        <p>Merci de faire la différence.</p>
+      `,
+    },
+
+    donation_milestone: {
+      subject: "Vous avez fait {{count}} dons !",
+      heading: "{{count}} dons, {{name}} !",
+      body: `
+        <p>Vous venez d’atteindre {{count}} dons sur Fastamoni.</p>
+        <p>Chacun d’eux a compté. Merci pour votre générosité constante.</p>
+      `,
+    },
+
+    amount_milestone: {
+      subject: "Vous avez donné {{amount}} {{currency}} !",
+      heading: "Merci, {{name}} !",
+      body: `
+        <p>Vous avez désormais donné {{amount}} {{currency}} au total sur Fastamoni.</p>
+        <p>C’est une vraie différence pour les personnes que vous soutenez. Merci pour votre générosité.</p>
+      `,
+    },
+
+    donation_received: {
+      subject: "Vous avez reçu un don",
+      heading: "Vous avez reçu un don",
+      body: `
+        <p>Bonjour {{name}},</p>
+        <p>{{donorName}} vous a envoyé {{amount}} {{currency}}.</p>
+        {{#message}}<p>Son message : « {{message}} »</p>{{/message}}
+      `,
+    },
+
+    recurring_donation_failed: {
+      subject: "Votre don programmé n’a pas pu être effectué",
+      heading: "Don programmé manqué",
+      body: `
+        <p>Bonjour {{name}},</p>
+        <p>Votre don récurrent de {{amount}} {{currency}} n’a pas pu être effectué : {{reason}}.</p>
+        <p>Nous réessaierons à la prochaine date prévue.</p>
+      `,
+    },
+
+    pin_reset_code: {
+      subject: "Votre code de réinitialisation du PIN",
+      heading: "Réinitialisez votre PIN de transaction",
+      body: `
+        <p>Votre code à usage unique est :</p>
+        <p class="code"><strong>{{code}}</strong></p>
+        <p>Il expire dans {{expiresInMinutes}} minutes. Les dons sortants sont suspendus pendant {{coolingOffHours}} heures après une réinitialisation du PIN.</p>
+        <p>Si vous n’êtes pas à l’origine de cette demande, changez immédiatement votre mot de passe.</p>
+      `,
+    },
+
+    pin_changed: {
+      subject: "Votre PIN de transaction a été modifié",
+      heading: "PIN de transaction modifié",
+      body: `
+        <p>Votre PIN de transaction a été modifié le {{changedAt}} (UTC).</p>
+        <p>Si ce n’était pas vous, réinitialisez votre PIN et changez immédiatement votre mot de passe.</p>
+      `,
+    },
+
+    pin_locked: {
+      subject: "Votre PIN de transaction a été bloqué",
+      heading: "PIN de transaction bloqué",
+      body: `
+        <p>Votre PIN de transaction a été saisi incorrectement trop de fois. Il est bloqué jusqu’au {{lockedUntil}} (UTC).</p>
+        <p>Si ce n’était pas vous, changez immédiatement votre mot de passe.</p>
+      `,
+    },
+
+    export_ready: {
+      subject: "Votre export de dons est prêt",
+      heading: "Export de dons prêt",
+      body: `
+        <p>Bonjour {{name}},</p>
+        <p>Votre export de {{rows}} dons est prêt à être téléchargé.</p>
+        <p><a href="{{link}}">Télécharger mon export</a></p>
+        <p>Ce lien expire dans {{expiresInHours}} heures. Toute personne disposant du lien peut télécharger le fichier : merci de ne pas le transférer.</p>
+      `,
+    },
+  },
+};
@@ -0,0 +1,47 @@
+// Example variables for previews (admin endpoint and npm run emails:preview)
+export default {
+  welcome: { name: "Inioluwa" },
+  verify_email: {
+    link: "http://localhost:3000/verify-email?token=sample",
+    expiresIn: "24h",
+  },
+  password_reset: {
+    link: "http://localhost:3000/reset-password?token=sample",
+    expiresInMinutes: 30,
+  },
+  thank_you: { name: "Inioluwa" },
+  donation_milestone: {
+    name: "Inioluwa",
+    count: 10,
+    unsubscribeLink: "http://localhost:3000/api/auth/unsubscribe?token=sample",
+  },
+  amount_milestone: {
+    name: "Inioluwa",
+    amount: "100000",
+    currency: "NGN",
+    unsubscribeLink: "http://localhost:3000/api/auth/unsubscribe?token=sample",
+  },
+  donation_received: {
+    name: "Ada",
+    donorName: "Inioluwa",
+    amount: "5000.00",
+    currency: "NGN",
+    message: "Happy birthday! <3",
+    unsubscribeLink: "http://localhost:3000/api/auth/unsubscribe?token=sample",
+  },
+  recurring_donation_failed: {
+    name: "Inioluwa",
+    amount: "1000.00",
+    currency: "NGN",
+    reason: "Insufficient funds in wallet",
+  },
+  pin_reset_code: { code: "123456", expiresInMinutes: 10, coolingOffHours: 24 },
+  pin_changed: { changedAt: "2026-01-01T12:00:00.000Z" },
+  pin_locked: { lockedUntil: "2026-01-01T12:15:00.000Z" },
+  export_ready: {
+    name: "Inioluwa",
+    rows: 12840,
+    link: "http://localhost:3000/api/donations/exports/sample",
+    expiresInHours: 24,
+  },
+};
@@ -1,35 +1,148 @@
+// Shared pagination for list endpoints. Every list is ordered newest first by
+// (createdAt, id) and pages either by number (?page=, kept for existing
+// clients) or by an opaque keyset cursor (?cursor=, stable while new rows
+// arrive and as fast on page 1000 as on page 1).
+const NEWEST_FIRST = [{ createdAt: "desc" }, { id: "desc" }];
+const OLDEST_FIRST = [{ createdAt: "asc" }, { id: "asc" }];
+
+const encodeCursor = (row, direction) =>
+  Buffer.from(
+    JSON.stringify({ c: row.createdAt.toISOString(), i: row.id, d: direction })
+  ).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { c, i, d } = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    const createdAt = new Date(c);
+
+    if (
+      isNaN(createdAt) ||
+      !Number.isInteger(i) ||
+      !["next", "prev"].includes(d)
+    ) {
+      throw new Error();
+    }
+
+    return { createdAt, id: i, direction: d };
+  } catch {
+    throw new Error("Invalid cursor");
+  }
+};
+
 //  helper for consistent pagination across endpoints
 const getPaginationParams = (query) => {
-  try {
-    let page = parseInt(query.page) || 1;
-    let limit = parseInt(query.limit) || 10;
+  let page = parseInt(query.page) || 1;
+  let limit = parseInt(query.limit) || 10;
 
-    // validate page and limit
-    if (page < 1) page = 1;
-    if (limit < 1) limit = 10;
-    if (limit > 100) limit = 100; // max limit
+  // validate page and limit
+  if (page < 1) page = 1;
+  if (limit < 1) limit = 10;
+  if (limit > 100) limit = 100; // max limit
 
-    const skip = (page - 1) * limit;
+  const skip = (page - 1) * limit;
 
-    return { page, limit, skip };
-  } catch (error) {
-    console.error("Pagination Params Error:", error.message);
-    return { page: 1, limit: 10, skip: 0 };
-  }
+  // a cursor wins over page; throws "Invalid cursor"
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+
+  return { page, limit, skip, cursor };
 };
 
-const formatPaginatedResponse = (data, page, limit, totalCount) => {
+// The one envelope every list returns. In cursor mode page, total and pages
+// are null (counting would cost what the cursor saves).
+const formatPaginatedResponse = (
+  data,
+  { page, limit, cursor },
+  { total = null, hasNext, hasPrev }
+) => ({
+  data,
+  pagination: {
+    page: cursor ? null : page,
+    limit,
+    total,
+    pages: total === null ? null : Math.ceil(total / limit),
+    hasNext,
+    hasPrev,
+    nextCursor:
+      hasNext && data.length > 0
+        ? encodeCursor(data[data.length - 1], "next")
+        : null,
+    prevCursor:
+      hasPrev && data.length > 0 ? encodeCursor(data[0], "prev") : null,
+  },
+});
+
+// rows strictly after (older than) or before (newer than) the cursor row
+const keysetWhere = ({ createdAt, id, direction }) => {
+  const op = direction === "next" ? "lt" : "gt";
   return {
-    data,
-    pagination: {
-      page,
-      limit,
-      totalCount,
-      totalPages: Math.ceil(totalCount / limit),
-      hasNext: page < Math.ceil(totalCount / limit),
-      hasPrev: page > 1,
-    },
+    OR: [{ createdAt: { [op]: createdAt } }, { createdAt, id: { [op]: id } }],
   };
 };
 
-export { getPaginationParams, formatPaginatedResponse };
+// One page of `model` (a Prisma delegate, e.g. prisma.donation) matching
+// `args.where`, in either mode. `args` takes the other findMany options
+// (include, select). Rows need createdAt and id.
+const findPage = async (model, args, params) => {
+  const { where = {}, ...rest } = args;
+  const { limit, skip, cursor } = params;
+
+  if (!cursor) {
+    const [rows, total] = await Promise.all([
+      model.findMany({
+        ...rest,
+        where,
+        orderBy: NEWEST_FIRST,
+        skip,
+        take: limit,
+      }),
+      model.count({ where }),
+    ]);
+
+    return formatPaginatedResponse(rows, params, {
+      total,
+      hasNext: skip + rows.length < total,
+      hasPrev: skip > 0 && total > 0,
+    });
+  }
+
+  // one extra row tells whether there is more in the direction of travel;
+  // going back reads oldest first from the cursor, then flips the page. The
+  // other direction has rows if any is left on the far side of the cursor
+  // (the cursor row itself may have been deleted since).
+  const forward = cursor.direction === "next";
+  const [rows, behind] = await Promise.all([
+    model.findMany({
+      ...rest,
+      where: { AND: [where, keysetWhere(cursor)] },
+      orderBy: forward ? NEWEST_FIRST : OLDEST_FIRST,
+      take: limit + 1,
+    }),
+    model.findFirst({
+      where: {
+        AND: [
+          where,
+          {
+            OR: [
+              keysetWhere({ ...cursor, direction: forward ? "prev" : "next" }),
+              { createdAt: cursor.createdAt, id: cursor.id },
+            ],
+          },
+        ],
+      },
+      select: { id: true },
+    }),
+  ]);
+
+  const more = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (!forward) page.reverse();
+
+  return formatPaginatedResponse(page, params, {
+    hasNext: forward ? more : behind !== null,
+    hasPrev: forward ? behind !== null : more,
+  });
+};
+
+export { getPaginationParams, formatPaginatedResponse, findPage };
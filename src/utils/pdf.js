@@ -0,0 +1,91 @@
+// Minimal single-page A4 PDF made of text lines (no dependency needed for a
+// receipt). The standard Helvetica fonts only cover Latin-1, so a few common
+// typographic characters are swapped for ASCII and anything else prints as "?".
+const REPLACEMENTS = {
+  "‘": "'",
+  "’": "'",
+  "“": '"',
+  "”": '"',
+  "–": "-",
+  "—": "-",
+  "…": "...",
+};
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+const escapePdfText = (text) =>
+  String(text ?? "")
+    .replace(/[‘’“”–—…]/g, (c) => REPLACEMENTS[c])
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+    .replace(/([\\()])/g, "\\$1");
+
+// lines: [{ text, size = 11, bold = false, gap = 6 }] from the top of the page;
+// `gap` is the space above the line
+const textPdf = (lines) => {
+  let y = PAGE_HEIGHT - MARGIN;
+  const ops = ["BT"];
+
+  for (const { text, size = 11, bold = false, gap = 6 } of lines) {
+    y -= size + gap;
+    ops.push(
+      `/${bold ? "F2" : "F1"} ${size} Tf`,
+      `1 0 0 1 ${MARGIN} ${y} Tm`,
+      `(${escapePdfText(text)}) Tj`
+    );
+  }
+  ops.push("ET");
+
+  const content = ops.join("\n");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Length ${Buffer.byteLength(
+      content,
+      "latin1"
+    )} >>\nstream\n${content}\nendstream`,
+  ];
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(pdf, "latin1"));
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${
+    objects.length + 1
+  } /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+};
+
+// split text into lines of at most `width` characters, on spaces where possible
+const wrapText = (text, width = 90) => {
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(/\s+/)) {
+    if (line && (line + " " + word).length > width) {
+      lines.push(line);
+      line = "";
+    }
+    line = line ? `${line} ${word}` : word;
+    while (line.length > width) {
+      lines.push(line.slice(0, width));
+      line = line.slice(width);
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+};
+
+export { textPdf, wrapText };
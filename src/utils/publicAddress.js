@@ -0,0 +1,68 @@
+import dns from "dns";
+import net from "net";
+
+// Addresses a request to a user-supplied URL must never reach: loopback,
+// private networks, link-local (cloud metadata at 169.254.169.254), carrier
+// NAT, multicast and reserved ranges. IPv4-mapped IPv6 addresses are checked
+// against the IPv4 rules.
+const PRIVATE_RANGES = [
+  ["0.0.0.0", 8, "ipv4"],
+  ["10.0.0.0", 8, "ipv4"],
+  ["100.64.0.0", 10, "ipv4"],
+  ["127.0.0.0", 8, "ipv4"],
+  ["169.254.0.0", 16, "ipv4"],
+  ["172.16.0.0", 12, "ipv4"],
+  ["192.0.0.0", 24, "ipv4"],
+  ["192.168.0.0", 16, "ipv4"],
+  ["198.18.0.0", 15, "ipv4"],
+  ["224.0.0.0", 4, "ipv4"],
+  ["240.0.0.0", 4, "ipv4"],
+  ["::", 128, "ipv6"],
+  ["::1", 128, "ipv6"],
+  ["64:ff9b::", 96, "ipv6"],
+  ["fc00::", 7, "ipv6"],
+  ["fe80::", 10, "ipv6"],
+  ["ff00::", 8, "ipv6"],
+];
+
+const privateRanges = new net.BlockList();
+for (const [network, prefix, type] of PRIVATE_RANGES) {
+  privateRanges.addSubnet(network, prefix, type);
+}
+
+// anything that is not a valid IP counts as private
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return privateRanges.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+// true if every address the host name (or IP literal) resolves to is public
+const isPublicHost = async (hostname) => {
+  const host = hostname.replace(/^\[(.*)\]$/, "$1");
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true });
+
+  return (
+    addresses.length > 0 && addresses.every((a) => !isPrivateAddress(a.address))
+  );
+};
+
+// dns.lookup for http.request that refuses private addresses. The check runs
+// on the address actually connected to, so a host name that resolved to a
+// public address earlier cannot be switched to an internal one (DNS rebinding).
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some((a) => isPrivateAddress(a.address))) {
+      return callback(new Error("Refusing to connect to a private address"));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+export { isPrivateAddress, isPublicHost, publicLookup };
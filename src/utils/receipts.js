@@ -0,0 +1,115 @@
+import { escapeHtml } from "./emailTemplates/index.js";
+import { textPdf, wrapText } from "./pdf.js";
+
+// label/value rows shared by the HTML and PDF receipts
+const receiptRows = (receipt) => {
+  const rows = [
+    ["Receipt number", receipt.receiptNumber],
+    [
+      "Date",
+      receipt.date.toISOString().replace("T", " ").slice(0, 19) + " UTC",
+    ],
+    ["Transaction reference", receipt.reference],
+    [
+      "Donor",
+      receipt.donor.email
+        ? `${receipt.donor.name} <${receipt.donor.email}>`
+        : receipt.donor.name,
+    ],
+    [
+      "Receiver",
+      receipt.receiver.email
+        ? `${receipt.receiver.name} <${receipt.receiver.email}>`
+        : receipt.receiver.name,
+    ],
+  ];
+
+  if (receipt.campaign) {
+    rows.push(["Campaign", receipt.campaign.title]);
+  }
+
+  rows.push(["Amount", `${receipt.amount} ${receipt.currency}`]);
+
+  if (receipt.receivedCurrency !== receipt.currency) {
+    rows.push([
+      "Amount received",
+      `${receipt.receivedAmount} ${receipt.receivedCurrency} (rate ${receipt.exchangeRate})`,
+    ]);
+  }
+
+  if (Number(receipt.reversedAmount) > 0) {
+    rows.push(["Reversed", `${receipt.reversedAmount} ${receipt.currency}`]);
+  }
+
+  return rows;
+};
+
+const renderReceiptHtml = (receipt) => {
+  const rows = receiptRows(receipt)
+    .map(
+      ([label, value]) =>
+        `<tr><th style="text-align: left; padding: 6px 12px 6px 0; color: #333;">${escapeHtml(
+          label
+        )}</th><td style="padding: 6px 0; color: #555;">${escapeHtml(
+          value
+        )}</td></tr>`
+    )
+    .join("\n      ");
+
+  const message = receipt.message
+    ? `<p style="color: #555;">Message: “${escapeHtml(receipt.message)}”</p>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Donation receipt ${escapeHtml(receipt.receiptNumber)}</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto;">
+  <h2 style="color: #333;">Fastamoni donation receipt</h2>
+  <table style="border-collapse: collapse;">
+      ${rows}
+  </table>
+  ${message}
+  <p style="color: #999; font-size: 12px;">Verification hash: ${escapeHtml(
+    receipt.verificationHash
+  )}<br />Check this receipt at <a href="${escapeHtml(
+    receipt.verifyUrl
+  )}">${escapeHtml(receipt.verifyUrl)}</a></p>
+  <p style="color: #999; font-size: 12px;">Issued ${escapeHtml(
+    receipt.issuedAt.toISOString()
+  )}</p>
+</body>
+</html>
+`;
+};
+
+const renderReceiptPdf = (receipt) =>
+  textPdf([
+    { text: "Fastamoni donation receipt", size: 18, bold: true, gap: 0 },
+    ...receiptRows(receipt).flatMap(([label, value], i) => [
+      { text: label, size: 9, bold: true, gap: i === 0 ? 20 : 10 },
+      ...wrapText(value).map((line) => ({ text: line, gap: 4 })),
+    ]),
+    ...(receipt.message
+      ? [
+          { text: "Message", size: 9, bold: true, gap: 10 },
+          ...wrapText(`"${receipt.message}"`).map((line) => ({
+            text: line,
+            gap: 4,
+          })),
+        ]
+      : []),
+    {
+      text: `Verification hash: ${receipt.verificationHash}`,
+      size: 9,
+      gap: 24,
+    },
+    ...wrapText(`Check this receipt at ${receipt.verifyUrl}`, 100).map(
+      (line) => ({ text: line, size: 9, gap: 4 })
+    ),
+    { text: `Issued ${receipt.issuedAt.toISOString()}`, size: 9, gap: 4 },
+  ]);
+
+export { renderReceiptHtml, renderReceiptPdf };
@@ -0,0 +1,7 @@
+import { randomUUID } from "crypto";
+
+// human-readable unique transaction reference, e.g. TOP-3F9A0C1B2D4E5F60
+const generateReference = (prefix) =>
+  `${prefix}-${randomUUID().replace(/-/g, "").slice(0, 16).toUpperCase()}`;
+
+export { generateReference };
@@ -0,0 +1,9 @@
+// plain text only: drop HTML tags and control characters, tidy spaces
+const sanitizeText = (text) =>
+  String(text)
+    .replace(/<[^>]*>/g, "")
+    .replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, "")
+    .replace(/[ \t]+/g, " ")
+    .trim();
+
+export { sanitizeText };
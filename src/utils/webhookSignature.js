@@ -0,0 +1,45 @@
+import crypto from "crypto";
+
+// Outbound webhook signatures, sent as
+//   X-Fastamoni-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Signing the timestamp with the body lets receivers reject replayed requests.
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const computeSignature = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+const signWebhookPayload = (secret, body, timestamp = Date.now()) => {
+  const seconds = Math.floor(timestamp / 1000);
+  return `t=${seconds},v1=${computeSignature(secret, seconds, body)}`;
+};
+
+// for receivers: true if the header matches the body and is recent enough
+const verifyWebhookSignature = (
+  secret,
+  header,
+  body,
+  toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS
+) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const seconds = Number(parts.t);
+
+  if (!seconds || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - seconds) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(computeSignature(secret, seconds, body));
+  const received = Buffer.from(parts.v1);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+export { signWebhookPayload, verifyWebhookSignature };
@@ -115,6 +115,12 @@ function spawnServer() {
 }
 
 async function run() {
+  // load test accounts never verify their email
+  process.env.EMAIL_VERIFICATION_REQUIRED =
+    process.env.EMAIL_VERIFICATION_REQUIRED || "false";
+  // every virtual user is a new account giving to one receiver, which the
+  // risk rules would (rightly) hold for review
+  process.env.RISK_RULES_ENABLED = process.env.RISK_RULES_ENABLED || "false";
   const { server, cleanup } = spawnServer();
 
   try {